@@ -0,0 +1,39 @@
+/**
+ * Helpers shared by the archive readers.
+ * An archive's files map holds, for each virtual path, either a Blob or a lazy
+ * entry { size, load() } whose load() resolves to a Blob on first use.
+ */
+
+// Detect a folder every entry lives under (e.g., "playwright-report/")
+export function getCommonPrefix(paths) {
+  let commonPrefix = null;
+  for (const path of paths) {
+    if (commonPrefix === null) {
+      const slashIndex = path.indexOf('/');
+      commonPrefix = slashIndex > 0 ? path.substring(0, slashIndex + 1) : '';
+    }
+
+    // Check if this entry starts with different prefix
+    if (commonPrefix && !path.startsWith(commonPrefix)) {
+      commonPrefix = '';
+    }
+  }
+  return commonPrefix || '';
+}
+
+// Prefer the root index.html, otherwise the first nested one
+export function findIndexPath(paths) {
+  let indexPath = null;
+  for (const path of paths) {
+    if (path === 'index.html' || path.endsWith('/index.html')) {
+      if (!indexPath || path === 'index.html') {
+        indexPath = path;
+      }
+    }
+  }
+  return indexPath;
+}
+
+export function readFile(file) {
+  return file instanceof Blob ? Promise.resolve(file) : file.load();
+}
@@ -0,0 +1,105 @@
+/**
+ * URL rewriting for CSS, shared by the static rewrite in rewrite.js and the
+ * patch script, which inlines rewriteCssUrls, so it must stay self-contained.
+ */
+
+/**
+ * Tokenize css and pass every URL it references to rewrite(url, kind), where
+ * kind is 'import' for @import targets, 'image-set' for image-set() strings
+ * and 'url' for url() values (font src and the like). rewrite returns the
+ * replacement URL, or null to keep it.
+ * Comments and other strings are copied as they are; escapes in URLs are
+ * decoded before rewrite sees them.
+ */
+export function rewriteCssUrls(css, rewrite) {
+  // "\22" and "\"" escapes to characters; escaped line breaks are dropped
+  function unescapeCss(value) {
+    return value.replace(/\\(?:([0-9a-fA-F]{1,6})[ \t\n]?|\r?\n|([\s\S]))/g, (match, hex, char) => {
+      if (!hex) return char || '';
+      const code = parseInt(hex, 16);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '\uFFFD';
+    });
+  }
+
+  function quote(url) {
+    return '"' + url.replace(/["\\]/g, '\\$&').replace(/\n/g, '\\a ') + '"';
+  }
+
+  let out = '';
+  let i = 0;
+  let importPending = false; // between "@import" and its URL
+  const parens = []; // kind of each open function or parenthesis
+
+  const urlKind = () =>
+    importPending ? 'import' : parens[parens.length - 1] === 'image-set' ? 'image-set' : 'url';
+
+  while (i < css.length) {
+    const char = css[i];
+
+    if (char === '/' && css[i + 1] === '*') {
+      const end = css.indexOf('*/', i + 2);
+      const next = end === -1 ? css.length : end + 2;
+      out += css.substring(i, next);
+      i = next;
+    } else if (char === '"' || char === "'") {
+      let end = i + 1;
+      while (end < css.length && css[end] !== char && css[end] !== '\n') {
+        end += css[end] === '\\' ? 2 : 1;
+      }
+      const raw = css.substring(i + 1, end);
+      const next = Math.min(end + 1, css.length);
+      const top = parens[parens.length - 1];
+      const rewritten =
+        importPending || top === 'url' || top === 'image-set'
+          ? rewrite(unescapeCss(raw), urlKind())
+          : null;
+      out += rewritten ? quote(rewritten) : css.substring(i, next);
+      importPending = false;
+      i = next;
+    } else if (char === '@' && /^@import\b/i.test(css.substring(i, i + 8))) {
+      importPending = true;
+      out += css.substring(i, i + 7);
+      i += 7;
+    } else if (/[-\w\u0080-\uffff\\]/.test(char)) {
+      // Identifier, or the name of a function when "(" follows
+      let end = i;
+      while (end < css.length && /[-\w\u0080-\uffff\\]/.test(css[end])) {
+        end += css[end] === '\\' ? 2 : 1;
+      }
+      const name = css.substring(i, end);
+      if (css[end] !== '(') {
+        out += name;
+        i = end;
+        continue;
+      }
+
+      const lowerName = name.toLowerCase();
+      const unquotedUrl = /^\(\s*([^"'\s)](?:\\[\s\S]|[^\\)])*?)\s*\)/.exec(css.substring(end));
+      if (lowerName === 'url' && unquotedUrl) {
+        const rewritten = rewrite(unescapeCss(unquotedUrl[1]), urlKind());
+        out += rewritten ? `url(${quote(rewritten)})` : name + unquotedUrl[0];
+        importPending = false;
+        i = end + unquotedUrl[0].length;
+        continue;
+      }
+
+      parens.push(
+        lowerName === 'url'
+          ? 'url'
+          : lowerName === 'image-set' || lowerName === '-webkit-image-set'
+            ? 'image-set'
+            : 'function'
+      );
+      out += name + '(';
+      i = end + 1;
+    } else {
+      if (char === '(') parens.push('function');
+      if (char === ')') parens.pop();
+      if (char === ';' || char === '{') importPending = false;
+      out += char;
+      i++;
+    }
+  }
+
+  return out;
+}
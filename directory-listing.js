@@ -0,0 +1,94 @@
+import { formatSize } from './format.js';
+import { NESTED_SEPARATOR } from './nested-archive.js';
+
+/**
+ * Generated pages for folders without an index.html, listing their contents
+ * the way a static server does. Directories are implied by file paths: "docs/"
+ * exists when any path starts with it.
+ */
+
+function escapeHtml(text) {
+  return text.replace(
+    /[&<>"']/g,
+    (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]
+  );
+}
+
+// Group paths by their directory ('' for the root), directories and names sorted
+export function groupByDirectory(paths) {
+  const groups = new Map(); // dir -> paths
+  const sorted = [...paths].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  for (const path of sorted) {
+    const dir = path.substring(0, path.lastIndexOf('/') + 1);
+    if (!groups.has(dir)) {
+      groups.set(dir, []);
+    }
+    groups.get(dir).push(path);
+  }
+  return new Map([...groups].sort(([a], [b]) => a.localeCompare(b)));
+}
+
+export function hasDirectory(paths, dir) {
+  if (dir === '') return true;
+  for (const path of paths) {
+    if (path.startsWith(dir)) return true;
+  }
+  return false;
+}
+
+// HTML page listing the subfolders and files directly inside dir ('' or e.g. "docs/").
+// Links are relative to the folder, so the page must be served at dir.
+export function renderDirectoryListing(files, dir) {
+  const dirs = new Set();
+  const entries = [];
+  for (const [path, file] of files) {
+    if (!path.startsWith(dir)) continue;
+    const rest = path.substring(dir.length);
+    // Entries of mounted inner archives belong to the archive's own listing
+    if (rest.includes(NESTED_SEPARATOR)) continue;
+
+    const slashIndex = rest.indexOf('/');
+    if (slashIndex === -1) {
+      entries.push([rest, formatSize(file.size)]);
+    } else {
+      dirs.add(rest.substring(0, slashIndex + 1));
+    }
+  }
+
+  const byName = (a, b) => a.localeCompare(b, undefined, { numeric: true });
+  // URL-encoded, so names with "#", "?", "%" or ":" stay paths; folders keep their "/"
+  const href = (name) =>
+    escapeHtml(name.replace(/[^/]+/, (segment) => encodeURIComponent(segment)));
+  const items = [];
+  if (dir !== '') {
+    items.push('<li><a href="../">../</a></li>');
+  }
+  for (const name of [...dirs].sort(byName)) {
+    items.push(`<li><a href="${href(name)}">${escapeHtml(name)}</a></li>`);
+  }
+  for (const [name, size] of entries.sort(([a], [b]) => byName(a, b))) {
+    items.push(`<li><a href="${href(name)}">${escapeHtml(name)}</a> <span>${size}</span></li>`);
+  }
+
+  const title = `Index of /${escapeHtml(dir)}`;
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>
+  body { font: 14px/1.6 system-ui, sans-serif; margin: 2em; color: #222; }
+  h1 { font-size: 1.4em; }
+  ul { list-style: none; padding: 0; margin: 0; }
+  span { color: #888; font-size: 0.85em; }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+<ul>
+${items.join('\n')}
+</ul>
+</body>
+</html>
+`;
+}
@@ -996,6 +996,8 @@
   // === PUBLIC API ===
 
   function startUnzip() {
+    // Already showing progress (e.g. a download started with startProgress)
+    if (currentState === State.EXTRACTING) return true;
     if (currentState !== State.DRAGGING) return false;
     currentState = State.EXTRACTING;
     extractionStartTime = performance.now();
@@ -1007,6 +1009,13 @@
     return true;
   }
 
+  // Show the progress display without a drag (e.g. loading from a URL)
+  function startProgress() {
+    if (isDisabled || currentState !== State.IDLE) return false;
+    show();
+    return startUnzip();
+  }
+
   function setProgress(progress) {
     extractionProgress = Math.max(0, Math.min(1, progress));
   }
@@ -1021,6 +1030,7 @@
 
   window.dragOverlay = {
     startUnzip,
+    startProgress,
     setProgress,
     complete,
     abort
@@ -0,0 +1,216 @@
+import { readFile } from './archive.js';
+import { formatSize } from './format.js';
+import { getContentType, getMimeType, isTextType, readText } from './mime.js';
+import { NESTED_SEPARATOR } from './nested-archive.js';
+import { isArchivePath } from './open-archive.js';
+
+/**
+ * Collapsible sidebar listing every entry of the open archive as a tree.
+ * HTML entries (and inner archives) open in the report frame through
+ * onOpenPage(path); anything else is shown in a built-in preview.
+ */
+
+// Larger text files are previewed up to this many bytes
+const MAX_TEXT_PREVIEW_BYTES = 1024 * 1024;
+
+function opensAsPage(path) {
+  return /\.html?$/i.test(path) || isArchivePath(path);
+}
+
+// path -> tree of { dirs: Map(name -> node), files: Map(name -> path) }
+function buildTree(paths) {
+  const root = { dirs: new Map(), files: new Map() };
+  for (const path of paths) {
+    const parts = path.split('/');
+    const name = parts.pop();
+    let node = root;
+    for (const part of parts) {
+      if (!node.dirs.has(part)) {
+        node.dirs.set(part, { dirs: new Map(), files: new Map() });
+      }
+      node = node.dirs.get(part);
+    }
+    node.files.set(name, path);
+  }
+  return root;
+}
+
+function byName([a], [b]) {
+  return a.localeCompare(b, undefined, { numeric: true });
+}
+
+export function createFileBrowser({ onOpenPage }) {
+  const panel = document.getElementById('file-browser');
+  const tree = document.getElementById('file-tree');
+  const toggle = document.getElementById('file-browser-toggle');
+  const closeButton = document.getElementById('file-browser-close');
+  const preview = document.getElementById('file-preview');
+  const previewPath = document.getElementById('file-preview-path');
+  const previewDetails = document.getElementById('file-preview-details');
+  const previewDownload = document.getElementById('file-preview-download');
+  const previewBody = document.getElementById('file-preview-body');
+  const previewClose = document.getElementById('file-preview-close');
+
+  let files = new Map();
+  let activePath = null;
+  let previewUrls = [];
+  let previewToken = 0;
+
+  toggle.addEventListener('click', () => panel.classList.add('open'));
+  closeButton.addEventListener('click', () => panel.classList.remove('open'));
+  previewClose.addEventListener('click', closePreview);
+
+  function createFileItem(name, path) {
+    const item = document.createElement('li');
+    const button = document.createElement('button');
+    button.className = 'file-tree-file';
+    button.dataset.path = path;
+    button.classList.toggle('active', path === activePath);
+
+    const type = getMimeType(path);
+    const label = document.createElement('span');
+    label.className = 'file-tree-name';
+    label.textContent = name;
+    const details = document.createElement('span');
+    details.className = 'file-tree-details';
+    details.textContent = `${formatSize(files.get(path).size)} · ${type}`;
+    button.title = `${path}\n${type}`;
+    button.append(label, details);
+    button.addEventListener('click', () => open(path));
+
+    item.append(button);
+    return item;
+  }
+
+  // Directory contents are only rendered once the directory is first expanded
+  function createDirItem(name, node) {
+    const item = document.createElement('li');
+    const details = document.createElement('details');
+    details.className = 'file-tree-dir';
+    const summary = document.createElement('summary');
+    summary.textContent = name + '/';
+    const list = document.createElement('ul');
+    details.append(summary, list);
+    details.addEventListener('toggle', () => {
+      if (details.open && !list.hasChildNodes()) {
+        renderNode(node, list);
+      }
+    });
+    item.append(details);
+    return item;
+  }
+
+  function renderNode(node, list) {
+    for (const [name, child] of [...node.dirs].sort(byName)) {
+      list.append(createDirItem(name, child));
+    }
+    for (const [name, path] of [...node.files].sort(byName)) {
+      list.append(createFileItem(name, path));
+    }
+  }
+
+  function open(path) {
+    if (opensAsPage(path)) {
+      closePreview();
+      onOpenPage(path);
+    } else {
+      showPreview(path);
+    }
+  }
+
+  function closePreview() {
+    previewToken++;
+    preview.classList.remove('active');
+    previewBody.replaceChildren();
+    for (const url of previewUrls) {
+      URL.revokeObjectURL(url);
+    }
+    previewUrls = [];
+  }
+
+  function createObjectUrl(blob) {
+    const url = URL.createObjectURL(blob);
+    previewUrls.push(url);
+    return url;
+  }
+
+  async function showPreview(path) {
+    closePreview();
+    const token = previewToken;
+
+    previewPath.textContent = path;
+    previewDetails.textContent = formatSize(files.get(path).size);
+    previewDownload.removeAttribute('href');
+    previewBody.textContent = 'Loading...';
+    preview.classList.add('active');
+
+    let content;
+    try {
+      // Extensionless files get their type from their first bytes
+      const file = await readFile(files.get(path));
+      const contentType = await getContentType(path, file);
+      const type = contentType.split(';')[0];
+      const blob = new Blob([file], { type });
+      if (token !== previewToken) return;
+      previewDetails.textContent = `${formatSize(blob.size)} · ${type}`;
+      previewDownload.href = createObjectUrl(blob);
+      previewDownload.download = path.substring(path.lastIndexOf('/') + 1);
+
+      if (type.startsWith('image/')) {
+        content = document.createElement('img');
+        content.src = createObjectUrl(blob);
+        content.alt = path;
+      } else if (type.startsWith('video/')) {
+        content = document.createElement('video');
+        content.controls = true;
+        content.src = createObjectUrl(blob);
+      } else if (isTextType(type)) {
+        const truncated = blob.size > MAX_TEXT_PREVIEW_BYTES;
+        let text = await readText(blob.slice(0, MAX_TEXT_PREVIEW_BYTES), contentType);
+        if (type === 'application/json' && !truncated) {
+          try {
+            text = JSON.stringify(JSON.parse(text), null, 2);
+          } catch (e) {
+            // Show malformed JSON as it is
+          }
+        }
+        content = document.createElement('pre');
+        content.textContent = truncated
+          ? `${text}\n\n[Showing the first ${formatSize(MAX_TEXT_PREVIEW_BYTES)}]`
+          : text;
+      } else {
+        content = document.createElement('p');
+        content.textContent = 'No preview for this file type.';
+      }
+    } catch (err) {
+      content = document.createElement('p');
+      content.textContent = `Could not read file: ${err.message}`;
+    }
+
+    if (token === previewToken) {
+      previewBody.replaceChildren(content);
+    }
+  }
+
+  return {
+    // List an archive's files map; entries of mounted inner archives are left out
+    show(archiveFiles) {
+      closePreview();
+      files = archiveFiles;
+      activePath = null;
+      const paths = [...files.keys()].filter((path) => !path.includes(NESTED_SEPARATOR));
+      tree.replaceChildren();
+      renderNode(buildTree(paths), tree);
+    },
+
+    // Highlight the entry showing in the frame
+    setActivePath(path) {
+      activePath = path;
+      for (const button of tree.querySelectorAll('.file-tree-file')) {
+        button.classList.toggle('active', button.dataset.path === path);
+      }
+    },
+
+    closePreview,
+  };
+}
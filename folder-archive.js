@@ -0,0 +1,67 @@
+import { getCommonPrefix } from './archive.js';
+
+/**
+ * Already-extracted folders, served the same way as archives.
+ * Both readers resolve to { files, close } like openZip, mapping each path
+ * (common prefix removed) to its File.
+ */
+
+function toArchive(entries) {
+  const commonPrefix = getCommonPrefix(entries.keys());
+  const files = new Map(); // path -> file
+  for (const [path, file] of entries) {
+    files.set(path.substring(commonPrefix.length), file);
+  }
+  return { files, close() {} };
+}
+
+// readEntries() hands out directory contents in batches until it returns none
+function readAllEntries(directory) {
+  const reader = directory.createReader();
+  const entries = [];
+  return new Promise((resolve, reject) => {
+    const readBatch = () => {
+      reader.readEntries((batch) => {
+        if (batch.length === 0) {
+          resolve(entries);
+        } else {
+          entries.push(...batch);
+          readBatch();
+        }
+      }, reject);
+    };
+    readBatch();
+  });
+}
+
+function getFile(fileEntry) {
+  return new Promise((resolve, reject) => fileEntry.file(resolve, reject));
+}
+
+async function walk(directory, prefix, entries) {
+  for (const entry of await readAllEntries(directory)) {
+    const path = prefix + entry.name;
+    if (entry.isDirectory) {
+      await walk(entry, path + '/', entries);
+    } else {
+      entries.set(path, await getFile(entry));
+    }
+  }
+}
+
+// A directory dropped on the page (from DataTransferItem.webkitGetAsEntry())
+export async function openDirectoryEntry(directory) {
+  const entries = new Map(); // path -> file
+  // Keep the folder's own name so prefix stripping matches the folder picker
+  await walk(directory, directory.name + '/', entries);
+  return toArchive(entries);
+}
+
+// Files from <input webkitdirectory>, each carrying its path in webkitRelativePath
+export function openFileList(fileList) {
+  const entries = new Map(); // path -> file
+  for (const file of fileList) {
+    entries.set(file.webkitRelativePath || file.name, file);
+  }
+  return toArchive(entries);
+}
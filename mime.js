@@ -0,0 +1,360 @@
+export const MIME_TYPES = {
+  // Web pages and code
+  html: 'text/html',
+  htm: 'text/html',
+  xhtml: 'application/xhtml+xml',
+  shtml: 'text/html',
+  css: 'text/css',
+  js: 'application/javascript',
+  mjs: 'application/javascript',
+  cjs: 'application/javascript',
+  jsx: 'text/jsx',
+  // .ts files are MPEG-TS segments of .m3u8 playlists more often than TypeScript
+  ts: 'video/mp2t',
+  mts: 'text/typescript',
+  cts: 'text/typescript',
+  tsx: 'text/tsx',
+  json: 'application/json',
+  map: 'application/json',
+  jsonld: 'application/ld+json',
+  webmanifest: 'application/manifest+json',
+  jsonl: 'application/x-ndjson',
+  ndjson: 'application/x-ndjson',
+  trace: 'application/x-ndjson',
+  wasm: 'application/wasm',
+  xml: 'application/xml',
+  xsl: 'application/xml',
+  xslt: 'application/xslt+xml',
+  dtd: 'application/xml-dtd',
+  rss: 'application/rss+xml',
+  atom: 'application/atom+xml',
+  vue: 'text/plain',
+  svelte: 'text/plain',
+  php: 'text/plain',
+  py: 'text/x-python',
+  rb: 'text/x-ruby',
+  java: 'text/x-java',
+  kt: 'text/x-kotlin',
+  go: 'text/x-go',
+  rs: 'text/x-rust',
+  c: 'text/x-c',
+  h: 'text/x-c',
+  cpp: 'text/x-c++',
+  hpp: 'text/x-c++',
+  cs: 'text/x-csharp',
+  swift: 'text/x-swift',
+  sh: 'application/x-sh',
+  bash: 'application/x-sh',
+  ps1: 'text/plain',
+  bat: 'text/plain',
+  sql: 'application/sql',
+  graphql: 'application/graphql',
+  gql: 'application/graphql',
+  wat: 'text/plain',
+
+  // Text and data
+  txt: 'text/plain',
+  text: 'text/plain',
+  log: 'text/plain',
+  out: 'text/plain',
+  md: 'text/markdown',
+  markdown: 'text/markdown',
+  mdx: 'text/markdown',
+  rst: 'text/x-rst',
+  adoc: 'text/asciidoc',
+  csv: 'text/csv',
+  tsv: 'text/tab-separated-values',
+  ini: 'text/plain',
+  cfg: 'text/plain',
+  conf: 'text/plain',
+  toml: 'application/toml',
+  yaml: 'application/yaml',
+  yml: 'application/yaml',
+  diff: 'text/x-diff',
+  patch: 'text/x-diff',
+  ics: 'text/calendar',
+  vcf: 'text/vcard',
+  vtt: 'text/vtt',
+  srt: 'application/x-subrip',
+  rtf: 'application/rtf',
+  tex: 'application/x-tex',
+  bib: 'text/x-bibtex',
+  lcov: 'text/plain',
+  info: 'text/plain',
+  junit: 'application/xml',
+  har: 'application/json',
+  geojson: 'application/geo+json',
+  topojson: 'application/json',
+  pem: 'application/x-pem-file',
+  crt: 'application/x-x509-ca-cert',
+
+  // Images
+  png: 'image/png',
+  apng: 'image/apng',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  jpe: 'image/jpeg',
+  jfif: 'image/jpeg',
+  pjpeg: 'image/jpeg',
+  gif: 'image/gif',
+  svg: 'image/svg+xml',
+  svgz: 'image/svg+xml',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  heic: 'image/heic',
+  heif: 'image/heif',
+  jxl: 'image/jxl',
+  bmp: 'image/bmp',
+  ico: 'image/x-icon',
+  cur: 'image/x-icon',
+  tif: 'image/tiff',
+  tiff: 'image/tiff',
+  psd: 'image/vnd.adobe.photoshop',
+
+  // Audio
+  mp3: 'audio/mpeg',
+  m4a: 'audio/mp4',
+  aac: 'audio/aac',
+  wav: 'audio/wav',
+  weba: 'audio/webm',
+  oga: 'audio/ogg',
+  ogg: 'audio/ogg',
+  opus: 'audio/opus',
+  flac: 'audio/flac',
+  mid: 'audio/midi',
+  midi: 'audio/midi',
+
+  // Video
+  webm: 'video/webm',
+  mp4: 'video/mp4',
+  m4v: 'video/mp4',
+  mov: 'video/quicktime',
+  ogv: 'video/ogg',
+  avi: 'video/x-msvideo',
+  mkv: 'video/x-matroska',
+  mpeg: 'video/mpeg',
+  mpg: 'video/mpeg',
+  m3u8: 'application/vnd.apple.mpegurl',
+  mpd: 'application/dash+xml',
+  '3gp': 'video/3gpp',
+
+  // Fonts
+  woff: 'font/woff',
+  woff2: 'font/woff2',
+  ttf: 'font/ttf',
+  otf: 'font/otf',
+  ttc: 'font/collection',
+  eot: 'application/vnd.ms-fontobject',
+
+  // Documents
+  pdf: 'application/pdf',
+  epub: 'application/epub+zip',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xls: 'application/vnd.ms-excel',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  ppt: 'application/vnd.ms-powerpoint',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  odt: 'application/vnd.oasis.opendocument.text',
+  ods: 'application/vnd.oasis.opendocument.spreadsheet',
+  odp: 'application/vnd.oasis.opendocument.presentation',
+
+  // Archives and binaries
+  zip: 'application/zip',
+  tar: 'application/x-tar',
+  gz: 'application/gzip',
+  tgz: 'application/gzip',
+  bz2: 'application/x-bzip2',
+  xz: 'application/x-xz',
+  zst: 'application/zstd',
+  '7z': 'application/x-7z-compressed',
+  rar: 'application/vnd.rar',
+  jar: 'application/java-archive',
+  apk: 'application/vnd.android.package-archive',
+  dmg: 'application/x-apple-diskimage',
+  iso: 'application/x-iso9660-image',
+  exe: 'application/vnd.microsoft.portable-executable',
+  dll: 'application/vnd.microsoft.portable-executable',
+  bin: 'application/octet-stream',
+  dat: 'application/octet-stream',
+  db: 'application/vnd.sqlite3',
+  sqlite: 'application/vnd.sqlite3',
+  parquet: 'application/vnd.apache.parquet',
+  arrow: 'application/vnd.apache.arrow.file',
+  pb: 'application/x-protobuf',
+  glb: 'model/gltf-binary',
+  gltf: 'model/gltf+json',
+  obj: 'model/obj',
+  stl: 'model/stl',
+};
+
+// Types served as text, which get a charset parameter
+const TEXT_TYPE_PATTERN =
+  /^text\/|^application\/(javascript|json|xml|x-ndjson|yaml|toml|sql|graphql|x-sh|x-tex|rtf)$|\+(xml|json)$/;
+
+export function isTextType(type) {
+  return TEXT_TYPE_PATTERN.test(type);
+}
+
+function getExtension(filename) {
+  const name = filename.substring(filename.lastIndexOf('/') + 1);
+  const dotIndex = name.lastIndexOf('.');
+  return dotIndex > 0 ? name.substring(dotIndex + 1).toLowerCase() : '';
+}
+
+export function getMimeType(filename) {
+  return MIME_TYPES[getExtension(filename)] || 'application/octet-stream';
+}
+
+// Magic numbers of common binary formats, matched at the start of a file
+const SIGNATURES = [
+  [[0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a], 'image/png'],
+  [[0xff, 0xd8, 0xff], 'image/jpeg'],
+  [[0x47, 0x49, 0x46, 0x38], 'image/gif'],
+  [[0x42, 0x4d], 'image/bmp'],
+  [[0x00, 0x00, 0x01, 0x00], 'image/x-icon'],
+  [[0x49, 0x49, 0x2a, 0x00], 'image/tiff'],
+  [[0x4d, 0x4d, 0x00, 0x2a], 'image/tiff'],
+  [[0x25, 0x50, 0x44, 0x46, 0x2d], 'application/pdf'],
+  [[0x00, 0x61, 0x73, 0x6d], 'application/wasm'],
+  [[0x50, 0x4b, 0x03, 0x04], 'application/zip'],
+  [[0x50, 0x4b, 0x05, 0x06], 'application/zip'],
+  [[0x1f, 0x8b], 'application/gzip'],
+  [[0x42, 0x5a, 0x68], 'application/x-bzip2'],
+  [[0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c], 'application/x-7z-compressed'],
+  [[0x53, 0x51, 0x4c, 0x69, 0x74, 0x65], 'application/vnd.sqlite3'],
+  [[0x77, 0x4f, 0x46, 0x46], 'font/woff'],
+  [[0x77, 0x4f, 0x46, 0x32], 'font/woff2'],
+  [[0x4f, 0x54, 0x54, 0x4f], 'font/otf'],
+  [[0x00, 0x01, 0x00, 0x00, 0x00], 'font/ttf'],
+  [[0x49, 0x44, 0x33], 'audio/mpeg'],
+  [[0xff, 0xfb], 'audio/mpeg'],
+  [[0x4f, 0x67, 0x67, 0x53], 'audio/ogg'],
+  [[0x66, 0x4c, 0x61, 0x43], 'audio/flac'],
+  [[0x1a, 0x45, 0xdf, 0xa3], 'video/webm'],
+];
+
+function startsWith(bytes, signature, offset = 0) {
+  return signature.every((byte, index) => bytes[offset + index] === byte);
+}
+
+function ascii(bytes, start, end) {
+  return String.fromCharCode(...bytes.subarray(start, end));
+}
+
+// Text in any 8-bit encoding has no control characters besides tabs, line breaks,
+// form feeds and escapes
+function looksBinary(bytes) {
+  return bytes.some((byte) => byte < 0x09 || (byte > 0x0d && byte < 0x20 && byte !== 0x1b));
+}
+
+/**
+ * Guess a type from a file's first bytes (512 are plenty), for files whose
+ * name has no known extension. Falls back to text/plain for readable text and
+ * application/octet-stream otherwise.
+ */
+export function sniffMimeType(bytes) {
+  for (const [signature, type] of SIGNATURES) {
+    if (startsWith(bytes, signature)) return type;
+  }
+
+  if (ascii(bytes, 0, 4) === 'RIFF') {
+    const format = ascii(bytes, 8, 12);
+    if (format === 'WEBP') return 'image/webp';
+    if (format === 'WAVE') return 'audio/wav';
+    if (format === 'AVI ') return 'video/x-msvideo';
+  }
+  if (ascii(bytes, 4, 8) === 'ftyp') {
+    const brand = ascii(bytes, 8, 12);
+    if (brand === 'avif' || brand === 'avis') return 'image/avif';
+    if (brand === 'heic' || brand === 'heix' || brand === 'mif1') return 'image/heic';
+    if (brand === 'M4A ') return 'audio/mp4';
+    if (brand === 'qt  ') return 'video/quicktime';
+    return 'video/mp4';
+  }
+  if (ascii(bytes, 257, 262) === 'ustar') return 'application/x-tar';
+
+  if (looksBinary(bytes)) {
+    // UTF-16 text has NUL bytes but starts with a byte order mark
+    if (startsWith(bytes, [0xff, 0xfe]) || startsWith(bytes, [0xfe, 0xff])) return 'text/plain';
+    return 'application/octet-stream';
+  }
+
+  const text = new TextDecoder()
+    .decode(bytes)
+    .replace(/^\uFEFF/, '')
+    .trimStart();
+  const lower = text.substring(0, 256).toLowerCase();
+  if (lower.startsWith('<!doctype html') || lower.startsWith('<html')) return 'text/html';
+  if (lower.startsWith('<svg') || (lower.startsWith('<?xml') && lower.includes('<svg'))) {
+    return 'image/svg+xml';
+  }
+  if (lower.startsWith('<?xml')) return 'application/xml';
+  if (lower.startsWith('%pdf-')) return 'application/pdf';
+  return 'text/plain';
+}
+
+/**
+ * Character encoding of a text file: its byte order mark, an HTML
+ * <meta charset> or CSS @charset declaration, or UTF-8.
+ */
+export function detectCharset(bytes, type) {
+  if (startsWith(bytes, [0xef, 0xbb, 0xbf])) return 'utf-8';
+  if (startsWith(bytes, [0xff, 0xfe])) return 'utf-16le';
+  if (startsWith(bytes, [0xfe, 0xff])) return 'utf-16be';
+
+  const head = ascii(bytes, 0, 1024);
+  const declared =
+    type === 'text/html'
+      ? /<meta[^>]+charset\s*=\s*["']?([\w-]+)/i.exec(head)
+      : type === 'text/css'
+        ? /^@charset\s+"([\w-]+)"/i.exec(head)
+        : null;
+  return declared ? declared[1].toLowerCase() : 'utf-8';
+}
+
+// The type of a file: by extension, or sniffed from its first bytes when unknown
+export async function detectMimeType(filename, blob) {
+  const type = MIME_TYPES[getExtension(filename)];
+  if (type) {
+    return type;
+  }
+  return sniffMimeType(new Uint8Array(await blob.slice(0, 512).arrayBuffer()));
+}
+
+// The content a served page gets for a file: .svgz files are inflated, as nothing
+// decodes a Content-Encoding on blob: URLs or service worker responses
+export async function decodeContent(filename, blob) {
+  if (getExtension(filename) !== 'svgz') {
+    return blob;
+  }
+  try {
+    const stream = blob.stream().pipeThrough(new DecompressionStream('gzip'));
+    return await new Response(stream).blob();
+  } catch (e) {
+    // Not gzipped after all
+    return blob;
+  }
+}
+
+// Decode a text file with the charset of its Content-Type (UTF-8 when none is given)
+export async function readText(blob, contentType) {
+  const charset = /;\s*charset=([\w-]+)/i.exec(contentType)?.[1] || 'utf-8';
+  try {
+    return new TextDecoder(charset).decode(await blob.arrayBuffer());
+  } catch (e) {
+    // Unknown encoding label
+    return blob.text();
+  }
+}
+
+// Full Content-Type of a file, with a charset for text types. Served files come
+// through decodeContent first, so .svgz bytes are already inflated.
+export async function getContentType(filename, blob) {
+  const type = await detectMimeType(filename, blob);
+  if (!isTextType(type)) {
+    return type;
+  }
+  const bytes = new Uint8Array(await blob.slice(0, 1024).arrayBuffer());
+  return `${type}; charset=${detectCharset(bytes, type)}`;
+}
@@ -0,0 +1,210 @@
+/**
+ * Finding and rewriting the URLs JavaScript modules load: static imports and
+ * re-exports, dynamic import("..."), new URL("...", import.meta.url) and
+ * import.meta.url itself. The source is tokenized, so matches inside
+ * comments, strings, template literals and regular expressions are skipped.
+ */
+
+// Stable absolute URLs for archive paths. import.meta.url becomes one, and modules
+// in an import cycle import each other by one, mapped to blob URLs by an import map.
+export const VIRTUAL_ORIGIN = 'https://zip-zerver.invalid/';
+
+// Words after which a "/" starts a regular expression rather than a division
+const KEYWORDS_BEFORE_EXPRESSION = new Set([
+  'await',
+  'case',
+  'delete',
+  'do',
+  'else',
+  'in',
+  'instanceof',
+  'new',
+  'of',
+  'return',
+  'throw',
+  'typeof',
+  'void',
+  'yield',
+]);
+
+// Words whose parenthesized condition may be followed by a regular expression
+const KEYWORDS_BEFORE_CONDITION = new Set(['for', 'if', 'while', 'with']);
+
+// Split code into { type, value, start, end } tokens, whitespace and comments dropped.
+// Types are 'word' (identifiers, keywords and numbers), 'string', 'template',
+// 'regex' and 'punct' (any other single character). A ")" closing an if, while,
+// for or with condition is marked condition: true.
+function tokenize(code) {
+  const tokens = [];
+  const braces = []; // 'template' for an open "${", 'brace' for "{"
+  const parens = []; // whether each open "(" starts an if, while, for or with condition
+  const word = /[\w$\u0080-\uffff]+/y;
+  const space = /\s+/y;
+  let i = 0;
+
+  const push = (type, end) => {
+    tokens.push({ type, value: code.substring(i, end), start: i, end });
+    i = end;
+  };
+
+  // Whether the token at index ends an operand, so that a "/" after it is a division
+  const endsOperand = (index) => {
+    const token = tokens[index];
+    if (!token) return false;
+    if (token.type === 'word') return !KEYWORDS_BEFORE_EXPRESSION.has(token.value);
+    if (token.type === 'template') return !token.value.endsWith('${');
+    if (token.type !== 'punct') return true;
+    if (token.value === ')') return !token.condition;
+    if (token.value === ']' || token.value === '}') return true;
+    // Postfix "++" and "--", as in "a++ / 2"
+    const previous = tokens[index - 1];
+    return (
+      (token.value === '+' || token.value === '-') &&
+      previous?.value === token.value &&
+      previous.end === token.start &&
+      endsOperand(index - 2)
+    );
+  };
+
+  // Template text from i up to and including the closing "`" or the next "${"
+  const readTemplate = () => {
+    let end = i;
+    while (
+      end < code.length &&
+      code[end] !== '`' &&
+      !(code[end] === '$' && code[end + 1] === '{')
+    ) {
+      end += code[end] === '\\' ? 2 : 1;
+    }
+    if (code[end] === '$') {
+      braces.push('template');
+      push('template', end + 2);
+    } else {
+      push('template', end + 1);
+    }
+  };
+
+  while (i < code.length) {
+    const char = code[i];
+    space.lastIndex = i;
+    word.lastIndex = i;
+
+    if (space.test(code)) {
+      i = space.lastIndex;
+    } else if (char === '/' && code[i + 1] === '/') {
+      const end = code.indexOf('\n', i);
+      i = end === -1 ? code.length : end;
+    } else if (char === '/' && code[i + 1] === '*') {
+      const end = code.indexOf('*/', i + 2);
+      i = end === -1 ? code.length : end + 2;
+    } else if (char === '"' || char === "'") {
+      let end = i + 1;
+      while (end < code.length && code[end] !== char && code[end] !== '\n') {
+        end += code[end] === '\\' ? 2 : 1;
+      }
+      push('string', Math.min(end + 1, code.length));
+    } else if (char === '`') {
+      i++;
+      readTemplate();
+    } else if (char === '}' && braces[braces.length - 1] === 'template') {
+      braces.pop();
+      i++;
+      readTemplate();
+    } else if (word.test(code)) {
+      push('word', word.lastIndex);
+    } else if (char === '/') {
+      // A regular expression unless the previous token ends an operand
+      if (endsOperand(tokens.length - 1)) {
+        push('punct', i + 1);
+        continue;
+      }
+      let end = i + 1;
+      let inClass = false;
+      while (end < code.length && code[end] !== '\n' && (inClass || code[end] !== '/')) {
+        if (code[end] === '[') inClass = true;
+        if (code[end] === ']') inClass = false;
+        end += code[end] === '\\' ? 2 : 1;
+      }
+      word.lastIndex = end + 1;
+      push('regex', word.test(code) ? word.lastIndex : Math.min(end + 1, code.length));
+    } else {
+      if (char === '{') braces.push('brace');
+      if (char === '}') braces.pop();
+      if (char === '(') {
+        const last = tokens[tokens.length - 1];
+        const keyword = last?.value === 'await' ? tokens[tokens.length - 2] : last;
+        parens.push(keyword?.type === 'word' && KEYWORDS_BEFORE_CONDITION.has(keyword.value));
+      }
+      const isCondition = char === ')' && parens.pop();
+      push('punct', i + 1);
+      // "if (x) /re/" starts a regular expression, unlike "(x) / 2"
+      if (isCondition) tokens[tokens.length - 1].condition = true;
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Pass every URL code loads to rewrite(url, kind), where kind is 'import' for
+ * static imports and re-exports, 'dynamic' for import("...") and 'url' for
+ * new URL("...", import.meta.url). rewrite returns the replacement URL, or null
+ * to keep it. Other uses of import.meta.url are replaced by metaUrl when given.
+ */
+export function rewriteModuleUrls(code, rewrite, metaUrl) {
+  const tokens = tokenize(code);
+  const replacements = []; // [start, end, text]
+
+  const is = (index, type, value) =>
+    tokens[index]?.type === type && (value === undefined || tokens[index].value === value);
+  const isMetaUrl = (index) =>
+    is(index, 'word', 'import') &&
+    is(index + 1, 'punct', '.') &&
+    is(index + 2, 'word', 'meta') &&
+    is(index + 3, 'punct', '.') &&
+    is(index + 4, 'word', 'url');
+  const replaceString = (token, kind) => {
+    const url = rewrite(token.value.slice(1, -1), kind);
+    if (url) {
+      replacements.push([token.start, token.end, JSON.stringify(url)]);
+    }
+  };
+
+  for (let k = 0; k < tokens.length; k++) {
+    const token = tokens[k];
+    // Property accesses such as "loader.import(...)" are not imports
+    if (token.type !== 'word' || is(k - 1, 'punct', '.')) continue;
+
+    if (token.value === 'from' && is(k + 1, 'string')) {
+      replaceString(tokens[k + 1], 'import');
+    } else if (token.value === 'import' && is(k + 1, 'string')) {
+      replaceString(tokens[k + 1], 'import');
+    } else if (
+      token.value === 'import' &&
+      is(k + 1, 'punct', '(') &&
+      is(k + 2, 'string') &&
+      (is(k + 3, 'punct', ')') || is(k + 3, 'punct', ','))
+    ) {
+      replaceString(tokens[k + 2], 'dynamic');
+    } else if (
+      token.value === 'new' &&
+      is(k + 1, 'word', 'URL') &&
+      is(k + 2, 'punct', '(') &&
+      is(k + 3, 'string') &&
+      is(k + 4, 'punct', ',') &&
+      isMetaUrl(k + 5)
+    ) {
+      replaceString(tokens[k + 3], 'url');
+    } else if (metaUrl && isMetaUrl(k)) {
+      replacements.push([token.start, tokens[k + 4].end, JSON.stringify(metaUrl)]);
+      k += 4;
+    }
+  }
+
+  let out = '';
+  let last = 0;
+  for (const [start, end, text] of replacements) {
+    out += code.substring(last, start) + text;
+    last = end;
+  }
+  return out + code.substring(last);
+}
@@ -0,0 +1,76 @@
+import { findIndexPath, readFile } from './archive.js';
+import { isArchivePath, openArchive } from './open-archive.js';
+
+/**
+ * Archives inside archives (e.g. Playwright's data/<sha>.zip traces, or a
+ * tarball inside a CI artifact ZIP).
+ * An inner archive is mounted into its parent's files map under
+ * "<archive path>!/", so "data/abc.zip!/trace.trace" addresses a file inside
+ * data/abc.zip and relative URLs in nested pages resolve within it.
+ */
+
+export const NESTED_SEPARATOR = '!/';
+
+// files map -> Map(archive path -> Promise<{ indexPath, paths, archive }>)
+const mounts = new WeakMap();
+
+// Mount one inner archive into files; concurrent and repeated calls share the work
+export function mountNestedArchive(files, archivePath) {
+  let siteMounts = mounts.get(files);
+  if (!siteMounts) {
+    siteMounts = new Map();
+    mounts.set(files, siteMounts);
+  }
+
+  if (!siteMounts.has(archivePath)) {
+    const mounting = (async () => {
+      const archive = await openArchive(await readFile(files.get(archivePath)), archivePath);
+      const prefix = archivePath + NESTED_SEPARATOR;
+      const paths = [];
+      for (const [path, file] of archive.files) {
+        files.set(prefix + path, file);
+        paths.push(prefix + path);
+      }
+      const indexPath = findIndexPath(archive.files.keys());
+      return { indexPath: indexPath && prefix + indexPath, paths, archive };
+    })();
+
+    // Let a failed mount be retried
+    mounting.catch(() => siteMounts.delete(archivePath));
+    siteMounts.set(archivePath, mounting);
+  }
+
+  return siteMounts.get(archivePath);
+}
+
+/**
+ * Mount every archive along a path such as "a.zip!/b.zip!/index.html".
+ * Resolves to the innermost mount's { indexPath, paths } with paths collected
+ * from all levels, or null when the path does not enter an archive.
+ */
+export async function mountNestedArchives(files, path) {
+  let mounted = null;
+  const paths = [];
+  let index = path.indexOf(NESTED_SEPARATOR);
+  while (index !== -1) {
+    const archivePath = path.substring(0, index);
+    if (!files.has(archivePath) || !isArchivePath(archivePath)) break;
+
+    mounted = await mountNestedArchive(files, archivePath);
+    paths.push(...mounted.paths);
+    index = path.indexOf(NESTED_SEPARATOR, index + NESTED_SEPARATOR.length);
+  }
+  return mounted && { indexPath: mounted.indexPath, paths };
+}
+
+// Close the inner archives mounted into files, once the site they belong to is closed
+export async function closeNestedArchives(files) {
+  const siteMounts = mounts.get(files);
+  if (!siteMounts) return;
+  mounts.delete(files);
+
+  const results = await Promise.allSettled(siteMounts.values());
+  await Promise.all(
+    results.filter(({ status }) => status === 'fulfilled').map(({ value }) => value.archive.close())
+  );
+}
@@ -0,0 +1,68 @@
+/**
+ * Content-Security-Policies for offline mode, which keeps served pages from
+ * contacting anything outside the archive (analytics, CDN fonts, beacons), and
+ * the reporter that logs what they refuse in service worker mode.
+ */
+
+// Rewritten pages in blob URL mode load everything from blob: (and data:) URLs,
+// so nothing else is allowed. Inline scripts and eval stay allowed, as the pages'
+// own code and the patch script need them.
+export const BLOB_SITE_POLICY = [
+  'default-src blob: data:',
+  "script-src blob: data: 'unsafe-inline' 'unsafe-eval'",
+  "style-src blob: data: 'unsafe-inline'",
+  'form-action blob:',
+].join('; ');
+
+// In service worker mode, requests must reach sw.js to be blocked and logged, so
+// only what never passes through it is refused here: WebSockets, frames and forms
+// navigating to other sites.
+export const SERVICE_WORKER_SITE_POLICY = [
+  "connect-src 'self' http: https: blob: data:",
+  "frame-src 'self' blob: data:",
+  "form-action 'self'",
+].join('; ');
+
+// Passes what SERVICE_WORKER_SITE_POLICY refuses to sw.js, which tells the viewer
+// for the request log: those requests never reach its fetch handler
+const VIOLATION_REPORTER = `<script>
+document.addEventListener('securitypolicyviolation', function (e) {
+  var worker = navigator.serviceWorker && navigator.serviceWorker.controller;
+  if (!worker || e.disposition !== 'enforce' || !/^(https?|wss?):/i.test(e.blockedURI)) return;
+  worker.postMessage({
+    type: 'zip-zerver:violation',
+    url: e.blockedURI,
+    kind: e.effectiveDirective === 'connect-src' ? 'websocket' : 'navigation'
+  });
+});
+</script>`;
+
+/**
+ * Add the violation reporter to an HTML page (a Blob) of the given Content-Type,
+ * right after its byte order mark and doctype. The page's bytes are left as they
+ * are; pages in UTF-16, where the ASCII reporter would not fit in, get none.
+ */
+export async function addViolationReporter(page, contentType) {
+  if (/charset=utf-16/i.test(contentType)) {
+    return page;
+  }
+  // windows-1252 decodes one character per byte, so lengths are byte offsets
+  const head = new TextDecoder('windows-1252').decode(await page.slice(0, 1024).arrayBuffer());
+  const offset = /^(\xEF\xBB\xBF)?(\s*<!doctype[^>]*>)?/i.exec(head)[0].length;
+  return new Blob([page.slice(0, offset), VIOLATION_REPORTER, page.slice(offset)], {
+    type: page.type,
+  });
+}
+
+// Served pages share the viewer's origin and can reach it through window.parent,
+// so while an offline site is open the viewer holds itself to this too: its own
+// files, fonts and zip.js, plus what served pages may use. Frames may still
+// navigate to other sites, as links the user follows do, and popups the frame
+// opens get no policy from here, so this stops requests, not a hostile page.
+export const VIEWER_POLICY = [
+  "default-src 'self' blob: data:",
+  "script-src 'self' blob: data: 'unsafe-inline' 'unsafe-eval' https://cdn.jsdelivr.net",
+  "style-src 'self' blob: data: 'unsafe-inline' https://fonts.googleapis.com",
+  "font-src 'self' blob: data: https://fonts.gstatic.com",
+  "frame-src 'self' blob: data: http: https:",
+].join('; ');
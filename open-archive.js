@@ -0,0 +1,14 @@
+import { openTar } from './tar-archive.js';
+import { openZip } from './zip-archive.js';
+
+// File names the viewer can open as a site
+export const ARCHIVE_PATTERN = /\.(zip|tar|tgz|tar\.gz)$/i;
+
+export function isArchivePath(path) {
+  return ARCHIVE_PATTERN.test(path);
+}
+
+// Pick a reader by file name; both resolve to { files, close }
+export function openArchive(file, name = file.name, options = {}) {
+  return /\.zip$/i.test(name) ? openZip(file, options) : openTar(file);
+}
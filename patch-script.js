@@ -0,0 +1,695 @@
+import { rewriteCssUrls } from './css-urls.js';
+import { VIRTUAL_ORIGIN } from './module-urls.js';
+import { ARCHIVE_PATTERN } from './open-archive.js';
+import { patchRequests } from './request-patch.js';
+import { parseRange } from './site-server.js';
+import { parseRefresh, rewriteSrcset } from './url-attributes.js';
+import { patchWorkerScope } from './worker-patch.js';
+
+// Create the URL/fetch patching script to inject into served HTML pages. In
+// offline mode it refuses requests that would leave the archive.
+export function createPatchScript(urlMap, htmlPath, offline = false) {
+  // Filter out HTML entries — their blob URLs become stale after processing
+  const filteredMap = new Map();
+  for (const [key, value] of urlMap) {
+    if (!key.toLowerCase().endsWith('.html') && !key.toLowerCase().endsWith('.htm')) {
+      filteredMap.set(key, value);
+    }
+  }
+  const mapJson = JSON.stringify(Object.fromEntries(filteredMap));
+  return (
+    `
+<script>
+(function() {
+  const blobUrlMap = ${mapJson};
+  const ARCHIVE_PATTERN = ${ARCHIVE_PATTERN};
+  const VIRTUAL_ORIGIN = ${JSON.stringify(VIRTUAL_ORIGIN)};
+  const OFFLINE = ${Boolean(offline)};
+
+  // Percent escapes stand for the characters of the file name, as on a web server;
+  // malformed ones are kept as they are
+  function decodePath(path) {
+    try {
+      return decodeURIComponent(path);
+    } catch(e) {
+      return path;
+    }
+  }
+
+  // Helper to resolve relative paths
+  function resolvePath(relativePath, basePath) {
+    // URLs built from a module's import.meta.url
+    if (relativePath && relativePath.startsWith(VIRTUAL_ORIGIN)) {
+      return decodePath(relativePath.substring(VIRTUAL_ORIGIN.length));
+    }
+    if (!relativePath || relativePath.startsWith('blob:') || relativePath.startsWith('data:') ||
+        relativePath.startsWith('http://') || relativePath.startsWith('https://')) {
+      return null;
+    }
+
+    // Handle absolute paths
+    if (relativePath.startsWith('/')) {
+      return decodePath(relativePath.substring(1));
+    }
+
+    // Get directory of base path
+    const baseDir = basePath && basePath.includes('/') ? basePath.substring(0, basePath.lastIndexOf('/') + 1) : '';
+
+    // Combine and normalize; only the URL's own segments are escaped
+    const parts = baseDir.split('/').concat(relativePath.split('/').map(decodePath));
+    const resolved = [];
+    for (const part of parts) {
+      if (part === '..') {
+        resolved.pop();
+      } else if (part !== '' && part !== '.') {
+        resolved.push(part);
+      }
+    }
+
+    return resolved.join('/');
+  }
+
+  // Track current "virtual" path for relative resolution
+  window.__virtualPath = ${JSON.stringify(htmlPath)};
+  try {
+    if (window.parent && window.parent !== window && window.parent.__currentVirtualPath) {
+      window.__virtualPath = window.parent.__currentVirtualPath;
+    }
+  } catch(e) {}
+
+  // Relative URLs resolve against the page's virtual path, or its <base href> when
+  // that points into the archive (the browser cannot resolve it against a blob: URL)
+  function getBasePath() {
+    const base = document.querySelector('base[href]');
+    const href = base && base.getAttribute('href').split(/[?#]/)[0];
+    const resolved = href ? resolvePath(href, window.__virtualPath) : null;
+    if (resolved === null) {
+      return window.__virtualPath;
+    }
+    return href.endsWith('/') && resolved ? resolved + '/' : resolved;
+  }
+
+  // The page's URL on the virtual origin, with the real location's query and hash
+  function virtualHref() {
+    return VIRTUAL_ORIGIN + encodeURI(window.__virtualPath) + location.search + location.hash;
+  }
+  function virtualBaseUrl() {
+    return document.querySelector('base[href]') ? VIRTUAL_ORIGIN + encodeURI(getBasePath()) : virtualHref();
+  }
+
+  // location itself cannot be replaced, so apps and tools can read the virtual
+  // location from window.__virtualLocation; document.URL and baseURI report it too
+  const virtualLocation = {
+    get href() { return virtualHref(); },
+    get hash() { return location.hash; },
+    set hash(value) { location.hash = value; },
+    assign: function(url) { if (!openPage(String(url), false)) location.assign(url); },
+    replace: function(url) { if (!openPage(String(url), true)) location.replace(url); },
+    reload: function() { location.reload(); },
+    toString: function() { return virtualHref(); }
+  };
+  ['origin', 'protocol', 'host', 'hostname', 'port', 'pathname', 'search'].forEach(function(prop) {
+    Object.defineProperty(virtualLocation, prop, {
+      get: function() { return new URL(virtualHref())[prop]; }
+    });
+  });
+  window.__virtualLocation = virtualLocation;
+
+  const baseURIDescriptor = Object.getOwnPropertyDescriptor(Node.prototype, 'baseURI');
+  Object.defineProperty(Node.prototype, 'baseURI', {
+    configurable: true,
+    get: function() {
+      return this === document || this.ownerDocument === document
+        ? virtualBaseUrl()
+        : baseURIDescriptor.get.call(this);
+    }
+  });
+  ['URL', 'documentURI'].forEach(function(prop) {
+    const descriptor = Object.getOwnPropertyDescriptor(Document.prototype, prop);
+    Object.defineProperty(Document.prototype, prop, {
+      configurable: true,
+      get: function() { return this === document ? virtualHref() : descriptor.get.call(this); }
+    });
+  });
+
+  // pushState/replaceState to paths in the archive move the virtual path; the real
+  // URL stays the page's blob URL, carrying the new query and hash. The virtual
+  // path rides along in the history entry's state so back and forward restore it.
+  const stateDescriptor = Object.getOwnPropertyDescriptor(History.prototype, 'state');
+  const eventStateDescriptor = Object.getOwnPropertyDescriptor(PopStateEvent.prototype, 'state');
+  const originalReplaceState = history.replaceState;
+  function isWrappedState(state) {
+    return Boolean(state) && state.__zipVirtualPath !== undefined;
+  }
+  function unwrapState(state) {
+    return isWrappedState(state) ? state.state : state;
+  }
+  Object.defineProperty(History.prototype, 'state', {
+    configurable: true,
+    get: function() { return unwrapState(stateDescriptor.get.call(this)); }
+  });
+  Object.defineProperty(PopStateEvent.prototype, 'state', {
+    configurable: true,
+    get: function() { return unwrapState(eventStateDescriptor.get.call(this)); }
+  });
+
+  // Entries without a virtual path (a newly loaded page, and entries fragment
+  // navigations create) get the current one. Back, forward and reload return to
+  // an entry that has one, which beats the viewer's idea of the current page.
+  const initialState = stateDescriptor.get.call(history);
+  if (isWrappedState(initialState)) {
+    window.__virtualPath = initialState.__zipVirtualPath;
+    try { window.parent.__currentVirtualPath = window.__virtualPath; } catch(e) {}
+  } else {
+    originalReplaceState.call(history, { __zipVirtualPath: window.__virtualPath, state: initialState }, '');
+  }
+  window.addEventListener('popstate', function(e) {
+    const state = eventStateDescriptor.get.call(e);
+    if (isWrappedState(state)) {
+      window.__virtualPath = state.__zipVirtualPath;
+      try { window.parent.__currentVirtualPath = window.__virtualPath; } catch(e2) {}
+    } else {
+      originalReplaceState.call(history, { __zipVirtualPath: window.__virtualPath, state: state }, '');
+    }
+  }, true);
+
+  ['pushState', 'replaceState'].forEach(function(method) {
+    const original = history[method];
+    history[method] = function(state, title, url) {
+      const target = url == null ? null : new URL(String(url), virtualBaseUrl());
+      if (!target || !target.href.startsWith(VIRTUAL_ORIGIN)) {
+        return original.apply(history, arguments);
+      }
+      // Browsers accept paths with malformed escapes, which then stay as they are
+      try {
+        window.__virtualPath = decodeURI(target.pathname.substring(1));
+      } catch(e) {
+        window.__virtualPath = target.pathname.substring(1);
+      }
+      try { window.parent.__currentVirtualPath = window.__virtualPath; } catch(e) {}
+      const blobUrl = location.href.split(/[?#]/)[0];
+      const wrapped = { __zipVirtualPath: window.__virtualPath, state: state };
+      return original.call(history, wrapped, title, blobUrl + target.search + target.hash);
+    };
+  });
+
+  // Byte range parsing shared with the service worker mode server
+  ${parseRange}
+
+  // srcset, meta refresh and CSS parsing shared with the static rewrite
+  ${rewriteSrcset}
+  ${parseRefresh}
+  ${rewriteCssUrls}
+
+  // Blob URL for an archive file, keeping a #fragment such as the symbol id in
+  // "icons.svg#star"; null for other URLs
+  function rewriteUrl(value) {
+    if (typeof value !== 'string') return null;
+    const pathPart = value.split('#')[0];
+    const resolved = pathPart && resolvePath(pathPart, getBasePath());
+    if (resolved && blobUrlMap[resolved]) {
+      return blobUrlMap[resolved] + value.substring(pathPart.length);
+    }
+    return null;
+  }
+
+  // Call one of the viewer's __zip* functions; undefined without a viewer
+  function callViewer(name) {
+    try {
+      if (window.parent && window.parent !== window && window.parent[name])
+        return window.parent[name].apply(null, Array.prototype.slice.call(arguments, 1));
+    } catch(e) {}
+    return undefined;
+  }
+
+  // Archive files get blob URLs the first time a page loads them, so blobUrlMap
+  // may lack some: hasFile() asks the viewer whether the archive has a path, and
+  // loadFile() resolves to its blob URL once the viewer has made one (null when
+  // missing). Pages are left out of blobUrlMap, as links must go through openPage().
+  function hasFile(path) {
+    return Boolean(blobUrlMap[path]) || callViewer('__zipHasFile', path) === true;
+  }
+  function loadFile(path) {
+    if (blobUrlMap[path]) return Promise.resolve(blobUrlMap[path]);
+    return Promise.resolve(callViewer('__zipLoadFile', path)).then(function(blobUrl) {
+      if (blobUrl && !/\.html?$/i.test(path)) blobUrlMap[path] = blobUrl;
+      return blobUrl || null;
+    }, function() { return null; });
+  }
+
+  // Load the archive files value names that have no blob URL yet, so a rewrite
+  // finds them: each(value, callback) passes every URL in value to callback, like
+  // rewriteSrcset and rewriteCssUrls. Returns null when none are missing, else a
+  // promise settling once they are loaded.
+  function loadFilesFor(value, each) {
+    const paths = [];
+    each(value, function(url) {
+      const pathPart = url.split('#')[0];
+      const resolved = pathPart && resolvePath(pathPart, getBasePath());
+      if (resolved && !blobUrlMap[resolved] && paths.indexOf(resolved) === -1 && hasFile(resolved)) {
+        paths.push(resolved);
+      }
+      return null;
+    });
+    return paths.length === 0 ? null : Promise.all(paths.map(loadFile));
+  }
+  function eachUrl(value, callback) {
+    callback(value);
+  }
+
+  // The viewer's fallback page (200.html, index.html or 404.html) or _redirects
+  // target for a path with no file; resolves to { url, status } or null
+  function getFallback(resolved) {
+    return Promise.resolve(callViewer('__zipFallback', resolved)).catch(function() { return null; });
+  }
+
+  // Record a request in the viewer's request log. kind is 'fetch', 'xhr', 'element'
+  // or 'navigation'; path is the archive path the URL resolved to, null for others.
+  function logRequest(kind, url, path, status, details) {
+    callViewer('__zipLogRequest', Object.assign({
+      kind: kind, url: String(url), path: path, status: status
+    }, details));
+  }
+
+  // fetch, Request and XMLHttpRequest, shared with the workers the page starts
+  ${patchRequests}
+  const requests = patchRequests(window, {
+    blobUrlMap: blobUrlMap,
+    resolvePath: function(url) { return resolvePath(url, getBasePath()); },
+    virtualBaseUrl: virtualBaseUrl,
+    hasFile: hasFile,
+    loadFile: loadFile,
+    getFallback: getFallback,
+    logRequest: logRequest,
+    virtualOrigin: VIRTUAL_ORIGIN,
+    offline: OFFLINE
+  });
+  const resolveRequest = requests.resolveRequest;
+  const requestStatus = requests.requestStatus;
+
+  // Workers start from a bootstrap that patches fetch, XHR and importScripts
+  // in their own scope before running the archive's script
+  ${patchWorkerScope}
+  patchWorkerScope(window, {
+    blobUrlMap: blobUrlMap,
+    getBasePath: getBasePath,
+    virtualOrigin: VIRTUAL_ORIGIN,
+    offline: OFFLINE,
+    askViewer: function(name, args) { return callViewer.apply(null, [name].concat(args)); },
+    inWorker: false
+  });
+
+  // Patch URL constructor
+  const OriginalURL = window.URL;
+  window.URL = function(url, base) {
+    // If base is a blob URL (location.href, or location itself), try to resolve the relative path
+    if (base && String(base).startsWith('blob:')) {
+      const resolved = resolvePath(String(url), getBasePath());
+      if (resolved && blobUrlMap[resolved]) {
+        return new OriginalURL(blobUrlMap[resolved]);
+      }
+      // Other paths resolve on the virtual origin, which fetch and XHR map back
+      return new OriginalURL(url, virtualBaseUrl());
+    }
+    return new OriginalURL(url, base);
+  };
+  // Copy static methods
+  Object.setPrototypeOf(window.URL, OriginalURL);
+  window.URL.prototype = OriginalURL.prototype;
+  window.URL.createObjectURL = OriginalURL.createObjectURL.bind(OriginalURL);
+  window.URL.revokeObjectURL = OriginalURL.revokeObjectURL.bind(OriginalURL);
+
+  // WebSocket, EventSource and sendBeacon() are logged too. Only event streams can
+  // come from the archive; in offline mode the page's Content-Security-Policy
+  // refuses the rest, and beacons are dropped here.
+  if (window.WebSocket) {
+    const OriginalWebSocket = window.WebSocket;
+    window.WebSocket = function(url, protocols) {
+      logRequest('websocket', url, null, OFFLINE ? 'blocked' : 'external', null);
+      return protocols === undefined ? new OriginalWebSocket(url) : new OriginalWebSocket(url, protocols);
+    };
+    Object.setPrototypeOf(window.WebSocket, OriginalWebSocket);
+    window.WebSocket.prototype = OriginalWebSocket.prototype;
+  }
+  if (window.EventSource) {
+    const OriginalEventSource = window.EventSource;
+    window.EventSource = function(url, init) {
+      const target = resolveRequest(url);
+      const path = target && target.path;
+      const status = requestStatus(String(url), path);
+      if (status) logRequest('eventsource', url, path, status, null);
+      const blobUrl = path && blobUrlMap[path];
+      return new OriginalEventSource(blobUrl ? blobUrl + target.hash : url, init);
+    };
+    Object.setPrototypeOf(window.EventSource, OriginalEventSource);
+    window.EventSource.prototype = OriginalEventSource.prototype;
+  }
+  if (navigator.sendBeacon) {
+    const originalSendBeacon = navigator.sendBeacon;
+    navigator.sendBeacon = function(url, data) {
+      const target = resolveRequest(url);
+      const status = requestStatus(String(url), target && target.path);
+      if (status) logRequest('beacon', url, target && target.path, status, null);
+      return status === 'blocked' ? false : originalSendBeacon.call(navigator, url, data);
+    };
+  }
+
+  // Patch element URL property setters for dynamic content. Values naming files
+  // with no blob URL yet are set once those are loaded, unless replaced meanwhile.
+  function patchElementProperty(proto, prop, rewrite, each) {
+    const descriptor = Object.getOwnPropertyDescriptor(proto, prop);
+    if (descriptor && descriptor.set) {
+      const originalSet = descriptor.set;
+      const latest = new WeakMap(); // element -> value awaiting its files
+      Object.defineProperty(proto, prop, {
+        ...descriptor,
+        set: function(value) {
+          const el = this;
+          const loading = typeof value === 'string' && loadFilesFor(value, each || eachUrl);
+          if (loading) {
+            latest.set(el, value);
+            loading.then(function() {
+              if (latest.get(el) !== value) return;
+              latest.delete(el);
+              originalSet.call(el, (rewrite || rewriteUrl)(value) || value);
+            });
+            return;
+          }
+          latest.delete(el);
+          const rewritten = typeof value === 'string' && (rewrite || rewriteUrl)(value);
+          return originalSet.call(this, rewritten || value);
+        }
+      });
+    }
+  }
+  function srcsetRewrite(value) {
+    return rewriteSrcset(value, rewriteUrl);
+  }
+
+  // Patch src on various element types
+  patchElementProperty(HTMLImageElement.prototype, 'src');
+  patchElementProperty(HTMLVideoElement.prototype, 'src');
+  patchElementProperty(HTMLAudioElement.prototype, 'src');
+  patchElementProperty(HTMLSourceElement.prototype, 'src');
+  patchElementProperty(HTMLTrackElement.prototype, 'src');
+  patchElementProperty(HTMLScriptElement.prototype, 'src');
+  patchElementProperty(HTMLIFrameElement.prototype, 'src');
+  patchElementProperty(HTMLEmbedElement.prototype, 'src');
+  patchElementProperty(HTMLVideoElement.prototype, 'poster');
+  patchElementProperty(HTMLObjectElement.prototype, 'data');
+  patchElementProperty(HTMLImageElement.prototype, 'srcset', srcsetRewrite, rewriteSrcset);
+  patchElementProperty(HTMLSourceElement.prototype, 'srcset', srcsetRewrite, rewriteSrcset);
+
+  // Rules and sheets built by scripts (CSS-in-JS, constructable stylesheets).
+  // insertRule() and replaceSync() cannot wait, so files they name that have no
+  // blob URL yet are only loaded for later rules.
+  function rewriteCss(text) {
+    return typeof text === 'string' ? rewriteCssUrls(text, rewriteUrl) : text;
+  }
+  const originalInsertRule = CSSStyleSheet.prototype.insertRule;
+  CSSStyleSheet.prototype.insertRule = function(rule, ...rest) {
+    if (typeof rule === 'string') loadFilesFor(rule, rewriteCssUrls);
+    return originalInsertRule.call(this, rewriteCss(rule), ...rest);
+  };
+  const originalReplaceSync = CSSStyleSheet.prototype.replaceSync;
+  if (originalReplaceSync) {
+    CSSStyleSheet.prototype.replaceSync = function(text) {
+      if (typeof text === 'string') loadFilesFor(text, rewriteCssUrls);
+      return originalReplaceSync.call(this, rewriteCss(text));
+    };
+  }
+  const originalReplace = CSSStyleSheet.prototype.replace;
+  if (originalReplace) {
+    CSSStyleSheet.prototype.replace = function(text) {
+      const sheet = this;
+      const loading = typeof text === 'string' && loadFilesFor(text, rewriteCssUrls);
+      return Promise.resolve(loading).then(function() {
+        return originalReplace.call(sheet, rewriteCss(text));
+      });
+    };
+  }
+
+  const XLINK_NS = 'http://www.w3.org/1999/xlink';
+  const URL_ATTRIBUTES = ['src', 'href', 'poster', 'data', 'srcset', 'imagesrcset'];
+
+  // Point one URL attribute at its blob URL. namespace is set for SVG xlink:href.
+  // Files with no blob URL yet are loaded first, then the attribute is looked at again.
+  function rewriteAttribute(el, attr, namespace) {
+    const value = namespace ? el.getAttributeNS(namespace, attr) : el.getAttribute(attr);
+    if (!value || (attr === 'data' && el.localName !== 'object')) return;
+
+    let rewritten;
+    if (attr === 'srcset' || attr === 'imagesrcset') {
+      const loading = loadFilesFor(value, rewriteSrcset);
+      if (loading) {
+        loading.then(function() { rewriteAttribute(el, attr, namespace); });
+        return;
+      }
+      rewritten = srcsetRewrite(value);
+    } else {
+      // Links to pages, archives and other files are followed by the click interceptor
+      const resolved = resolvePath(value.split('#')[0].split('?')[0], getBasePath());
+      if (resolved && attr === 'href' && (el.localName === 'a' || el.localName === 'area') &&
+          (/\\.html?$/i.test(resolved) || ARCHIVE_PATTERN.test(resolved) || !blobUrlMap[resolved])) {
+        return;
+      }
+      const loading = loadFilesFor(value, eachUrl);
+      if (loading) {
+        loading.then(function() { rewriteAttribute(el, attr, namespace); });
+        return;
+      }
+      rewritten = rewriteUrl(value);
+    }
+    if (!rewritten || rewritten === value) return;
+    if (namespace) {
+      el.setAttributeNS(namespace, 'xlink:href', rewritten);
+    } else {
+      el.setAttribute(attr, rewritten);
+    }
+  }
+
+  // <meta http-equiv="refresh"> to a relative URL does nothing in a blob: page,
+  // so follow it here: pages through the viewer like links, other files by blob URL
+  const followedRefreshes = new WeakSet();
+  function followRefresh(meta) {
+    if (followedRefreshes.has(meta) || (meta.getAttribute('http-equiv') || '').toLowerCase() !== 'refresh') return;
+    const refresh = parseRefresh(meta.getAttribute('content'));
+    if (!refresh) return;
+    const pathPart = refresh.url.split('#')[0].split('?')[0];
+    const resolved = resolvePath(pathPart, getBasePath());
+    if (resolved === null) return;
+
+    const pagePath = findPage(resolved);
+    if (pagePath === null && !hasFile(resolved)) return;
+
+    followedRefreshes.add(meta);
+    setTimeout(function() {
+      const suffix = refresh.url.substring(pathPart.length);
+      if (pagePath !== null) {
+        showPage(pagePath, suffix, false);
+      } else {
+        loadFile(resolved).then(function(blobUrl) {
+          if (blobUrl) window.location.href = blobUrl + suffix;
+        });
+      }
+    }, refresh.delay * 1000);
+  }
+
+  function rewriteElement(el) {
+    if (!el.getAttribute) return;
+    for (const attr of URL_ATTRIBUTES) {
+      rewriteAttribute(el, attr);
+    }
+    if (el.hasAttributeNS(XLINK_NS, 'href')) {
+      rewriteAttribute(el, 'href', XLINK_NS);
+    }
+    if (el.localName === 'meta') {
+      followRefresh(el);
+    }
+    if (el.localName === 'style') {
+      const update = function() {
+        const css = rewriteCss(el.textContent);
+        if (css !== el.textContent) el.textContent = css;
+      };
+      const loading = loadFilesFor(el.textContent, rewriteCssUrls);
+      if (loading) {
+        loading.then(update);
+      } else {
+        update();
+      }
+    }
+  }
+
+  // Also watch for attribute changes via MutationObserver
+  const observer = new MutationObserver((mutations) => {
+    for (const mutation of mutations) {
+      if (mutation.type === 'attributes') {
+        rewriteAttribute(mutation.target, mutation.attributeName, mutation.attributeNamespace);
+      }
+      // Handle newly added elements
+      if (mutation.type === 'childList') {
+        mutation.addedNodes.forEach(node => {
+          if (node.nodeType === 1) {
+            rewriteElement(node);
+            node.querySelectorAll('[src], [*|href], [poster], object[data], [srcset], [imagesrcset], meta[http-equiv], style')
+              .forEach(rewriteElement);
+          }
+        });
+      }
+    }
+  });
+
+  observer.observe(document.documentElement, {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    attributeFilter: URL_ATTRIBUTES
+  });
+
+  // Element loads (images, scripts, stylesheets, media, frames) are logged from
+  // their load and error events, which reach the window in the capture phase
+  function logElementLoad(e) {
+    const el = e.target;
+    if (!el || el.nodeType !== 1) return;
+    const attr = el.localName === 'link' ? 'href' : el.localName === 'object' ? 'data' : 'src';
+    const url = el.currentSrc || el.getAttribute(attr);
+    if (!url) return;
+    const target = resolveRequest(url);
+    const path = target && target.path;
+    const status = requestStatus(url, path);
+    if (!status) return;
+    const timing = performance.getEntriesByName(url).pop();
+    // Files shown from blob URLs are logged by their URL on the virtual origin
+    const shownUrl = path !== null && url.startsWith('blob:') ? VIRTUAL_ORIGIN + encodeURI(path) + target.hash : url;
+    logRequest('element', shownUrl, path, status, {
+      duration: timing ? timing.duration : null,
+      error: e.type === 'error' ? 'Failed to load' : null
+    });
+  }
+  ['load', 'loadeddata', 'error'].forEach(function(type) {
+    window.addEventListener(type, logElementLoad, true);
+  });
+
+  // Offline mode's policy also refuses loads no element reports, such as fonts and
+  // backgrounds from stylesheets; connections are logged by their patches above
+  if (OFFLINE) {
+    document.addEventListener('securitypolicyviolation', function(e) {
+      if (e.target !== document || e.effectiveDirective === 'connect-src' ||
+          !/^https?:/i.test(e.blockedURI) || e.blockedURI.startsWith(VIRTUAL_ORIGIN)) return;
+      logRequest('element', e.blockedURI, null, 'blocked', null);
+    });
+  }
+
+  logRequest('navigation', virtualHref(), window.__virtualPath, 'hit', { type: 'text/html' });
+
+  // The path of the page a path opens (an HTML file, a folder's index.html or a
+  // generated listing of the folder), resolved by the viewer, or null
+  function findPage(resolved) {
+    const pagePath = callViewer('__zipFindPage', resolved);
+    return typeof pagePath === 'string' ? pagePath : null;
+  }
+
+  // Navigate to a page findPage() returned, once the viewer has its blob URL. Pages
+  // it cannot read resolve to null, and the viewer shows why.
+  function showPage(pagePath, suffix, replace) {
+    Promise.resolve(callViewer('__zipLoadPage', pagePath)).catch(function() {
+      return null;
+    }).then(function(pageUrl) {
+      if (!pageUrl) return;
+      try { window.parent.__currentVirtualPath = pagePath; } catch(e) {}
+      if (replace) {
+        location.replace(pageUrl + suffix);
+      } else {
+        location.href = pageUrl + suffix;
+      }
+    });
+  }
+
+  // Navigate to href when it is a page of the archive: an HTML file, a folder's
+  // index.html ("docs/", "../") or a generated listing of the folder. Returns
+  // false for anything else.
+  function openPage(href, replace) {
+    const pathPart = href.split('#')[0].split('?')[0];
+    const resolved = resolvePath(pathPart, getBasePath());
+    const pagePath = resolved === null ? null : findPage(resolved);
+    if (pagePath === null) return false;
+
+    // Preserve hash and query from original href
+    showPage(pagePath, href.substring(pathPart.length), replace);
+    return true;
+  }
+
+  // Follow a link to an archive file at its blob URL, keeping the link's target
+  // and download attributes
+  function followFile(anchor, resolved, suffix) {
+    loadFile(resolved).then(function(blobUrl) {
+      if (!blobUrl) return;
+      const link = document.createElement('a');
+      link.href = blobUrl + suffix;
+      ['target', 'download', 'rel'].forEach(function(attr) {
+        if (anchor.hasAttribute(attr)) link.setAttribute(attr, anchor.getAttribute(attr));
+      });
+      link.click();
+    });
+  }
+
+  // Click interceptor for navigation between pages and folders
+  document.addEventListener('click', function(e) {
+    var anchor = e.target;
+    while (anchor && anchor.tagName !== 'A') anchor = anchor.parentElement;
+    if (!anchor) return;
+    var href = anchor.getAttribute('href');
+
+    // Log the links the browser is left to follow, unless the page's own router
+    // takes the click, to another site or to a path with no page
+    function logNavigation(path, status) {
+      setTimeout(function() {
+        if (!e.defaultPrevented) logRequest('navigation', href, path, status, null);
+      });
+    }
+    if (href && /^https?:/i.test(href) && !href.startsWith(VIRTUAL_ORIGIN)) {
+      logNavigation(null, 'external');
+    }
+
+    if (!href || href.startsWith('blob:') || (href.startsWith('http') && !href.startsWith(VIRTUAL_ORIGIN)) ||
+        href.startsWith('#') || href.startsWith('data:') || href.startsWith('javascript:') ||
+        href.startsWith('mailto:') || href.startsWith('tel:')) return;
+
+    // Strip hash/query for resolution
+    var pathPart = href.split('#')[0].split('?')[0];
+    var resolved = resolvePath(pathPart, getBasePath());
+    if (resolved === null) return;
+
+    // Archive links open the inner archive as a nested site at its own entry point
+    if (ARCHIVE_PATTERN.test(resolved) && hasFile(resolved)) {
+      e.preventDefault();
+      e.stopPropagation();
+      Promise.resolve(callViewer('__zipMountNested', resolved + '!/')).then(function(mounted) {
+        // Without an index.html inside, the generated listing of the archive's root
+        const pagePath = mounted && (mounted.indexPath || findPage(resolved + '!/'));
+        if (pagePath) {
+          showPage(pagePath, '', false);
+        } else if (!mounted) {
+          // Could not be opened; fall back to downloading the archive
+          followFile(anchor, resolved, '');
+        }
+      });
+      return;
+    }
+
+    if (openPage(href, false)) {
+      e.preventDefault();
+      e.stopPropagation();
+    } else if (hasFile(resolved)) {
+      // Other archive files, which may have no blob URL yet
+      e.preventDefault();
+      e.stopPropagation();
+      followFile(anchor, resolved, href.substring(pathPart.length));
+    } else {
+      logNavigation(resolved, requestStatus(href, resolved));
+    }
+  }, true); // capture phase
+})();
+</` + `script>`
+  );
+}
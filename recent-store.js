@@ -0,0 +1,127 @@
+/**
+ * Recently opened archives, kept in this browser's IndexedDB only.
+ * Metadata ({ id, name, size, openedAt }) and the archive data ({ id, name, file,
+ * remote }, or { id, name, files } for folders) live in separate stores so listing and
+ * touching entries never rewrites the stored blobs.
+ */
+
+const DB_NAME = 'zip-zerver';
+const META_STORE = 'recent';
+const DATA_STORE = 'recent-data';
+
+// Quota for stored archives; the oldest are evicted first
+export const MAX_STORED_BYTES = 512 * 1024 * 1024;
+const MAX_RECENT = 10;
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(META_STORE, { keyPath: 'id' });
+        request.result.createObjectStore(DATA_STORE, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    dbPromise.catch(() => (dbPromise = null));
+  }
+  return dbPromise;
+}
+
+// Run fn(stores...) in one transaction; resolves with fn's result once committed
+async function transact(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([META_STORE, DATA_STORE], mode);
+    const result = fn(tx.objectStore(META_STORE), tx.objectStore(DATA_STORE));
+    tx.oncomplete = () => resolve(result.value);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// Wrap an IDBRequest so transact() can hand back its result
+function valueOf(request) {
+  const result = { value: undefined };
+  request.onsuccess = () => (result.value = request.result);
+  return result;
+}
+
+// Most recently opened first
+export async function listRecent() {
+  const records = await transact('readonly', (meta) => valueOf(meta.getAll()));
+  return records.sort((a, b) => b.openedAt - a.openedAt);
+}
+
+export function getRecentData(id) {
+  return transact('readonly', (meta, data) => valueOf(data.get(id)));
+}
+
+/**
+ * Store an archive ({ name, file, remote }) or folder ({ name, files }) as the
+ * most recent entry, evicting old entries beyond the quota. remote marks
+ * archives downloaded from a link. Archives larger than the whole quota are not
+ * stored. Resolves to the entry's id, or null.
+ */
+export async function saveRecent({ name, file, files, remote = false }) {
+  let size = file?.size ?? 0;
+  let lastModified = file?.lastModified ?? 0;
+  for (const folderFile of files?.values() ?? []) {
+    size += folderFile.size;
+    lastModified = Math.max(lastModified, folderFile.lastModified);
+  }
+  if (size > MAX_STORED_BYTES) return null;
+
+  // Name and size alone would let different builds of one report replace each other
+  const id = `${files ? 'folder' : 'archive'}:${name}:${size}:${lastModified}`;
+  await transact('readwrite', (meta, data) => {
+    meta.put({ id, name, size, openedAt: Date.now() });
+    data.put(files ? { id, name, files } : { id, name, file, remote });
+    return { value: undefined };
+  });
+  await enforceQuota();
+  return id;
+}
+
+// Mark an entry as just opened
+export async function touchRecent(id) {
+  await transact('readwrite', (meta) => {
+    const request = meta.get(id);
+    request.onsuccess = () => {
+      if (request.result) {
+        meta.put({ ...request.result, openedAt: Date.now() });
+      }
+    };
+    return { value: undefined };
+  });
+}
+
+export function deleteRecent(id) {
+  return transact('readwrite', (meta, data) => {
+    meta.delete(id);
+    data.delete(id);
+    return { value: undefined };
+  });
+}
+
+export function clearRecent() {
+  return transact('readwrite', (meta, data) => {
+    meta.clear();
+    data.clear();
+    return { value: undefined };
+  });
+}
+
+async function enforceQuota() {
+  let totalBytes = 0;
+  const records = await listRecent();
+  for (const [index, record] of records.entries()) {
+    totalBytes += record.size;
+    if (index >= MAX_RECENT || totalBytes > MAX_STORED_BYTES) {
+      await deleteRecent(record.id);
+    }
+  }
+}
@@ -0,0 +1,84 @@
+import { isArchivePath } from './open-archive.js';
+
+/**
+ * Download an archive linked with ?src=<url> so it can go through the normal
+ * extraction pipeline. Relative URLs resolve against the viewer, so a file
+ * next to index.html works for testing; test-server.mjs serves a folder of
+ * archives from another origin, like a CI server.
+ */
+
+// Name the download after Content-Disposition or the URL path
+function getFileName(response, url) {
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const match = /filename\*?=(?:UTF-8'')?"?([^";]+)"?/i.exec(disposition);
+  const name = match ? match[1] : url.pathname.substring(url.pathname.lastIndexOf('/') + 1);
+  try {
+    return decodeURIComponent(name);
+  } catch (e) {
+    return name;
+  }
+}
+
+// CI artifact URLs often end in ".../download"; name them after their magic bytes
+async function ensureArchiveName(name, blob) {
+  if (isArchivePath(name)) {
+    return name;
+  }
+  const bytes = new Uint8Array(await blob.slice(0, 262).arrayBuffer());
+  const base = name || 'archive';
+  if (bytes[0] === 0x50 && bytes[1] === 0x4b) return base + '.zip';
+  if (bytes[0] === 0x1f && bytes[1] === 0x8b) return base + '.tgz';
+  if (new TextDecoder().decode(bytes.subarray(257, 262)) === 'ustar') return base + '.tar';
+  return name;
+}
+
+/**
+ * Fetch url as a File, reporting download progress from 0 to 1 through
+ * onProgress when the size is known. Network and CORS failures, which fetch()
+ * reports as a bare TypeError, and HTTP errors become readable messages.
+ */
+export async function downloadArchive(src, { onProgress } = {}) {
+  let url;
+  try {
+    url = new URL(src, location.href);
+  } catch (e) {
+    throw new Error(`"${src}" is not a valid URL.`);
+  }
+
+  let response;
+  try {
+    response = await fetch(url, { credentials: 'omit' });
+  } catch (err) {
+    throw new Error(
+      `Could not download ${url.href}. The server is unreachable or does not allow cross-origin (CORS) requests.`
+    );
+  }
+  if (!response.ok) {
+    throw new Error(
+      `Could not download ${url.href}: HTTP ${response.status} ${response.statusText}`
+    );
+  }
+
+  // Content-Length is only visible cross-origin when the server exposes it
+  const total = Number(response.headers.get('Content-Length')) || 0;
+  const reader = response.body.getReader();
+  const chunks = [];
+  let received = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    received += value.length;
+    if (total) {
+      // Compressed transfers can decode to more bytes than Content-Length
+      onProgress?.(Math.min(received / total, 1));
+    }
+  }
+  onProgress?.(1);
+
+  const blob = new Blob(chunks);
+  const name = await ensureArchiveName(getFileName(response, url), blob);
+  // Last-Modified keeps a re-downloaded artifact the same file for recent archives
+  const lastModified = Date.parse(response.headers.get('Last-Modified')) || Date.now();
+  return new File([blob], name, { type: response.headers.get('Content-Type') || '', lastModified });
+}
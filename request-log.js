@@ -0,0 +1,113 @@
+import { formatSize } from './format.js';
+
+/**
+ * DevTools-style panel listing the requests of the served site: fetches, XHRs,
+ * element loads, navigations and connections, each with the archive path it
+ * resolved to and its status: 'hit' or 'miss' in the archive, 'external' for
+ * other sites, or 'blocked' for them in offline mode. Filtering to misses shows
+ * the files a broken page looked for and did not find.
+ */
+
+// Older entries are dropped beyond this many
+const MAX_ENTRIES = 2000;
+
+function formatDuration(ms) {
+  if (ms == null) return '';
+  return ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(2)} s`;
+}
+
+function createCell(text, className, title) {
+  const cell = document.createElement('td');
+  cell.className = className;
+  cell.textContent = text ?? '';
+  if (title) cell.title = title;
+  return cell;
+}
+
+export function createRequestLog() {
+  const panel = document.getElementById('request-log');
+  const toggle = document.getElementById('request-log-toggle');
+  const closeButton = document.getElementById('request-log-close');
+  const clearButton = document.getElementById('request-log-clear');
+  const missesOnly = document.getElementById('request-log-misses');
+  const summary = document.getElementById('request-log-summary');
+  const body = document.getElementById('request-log-body');
+  const rows = document.getElementById('request-log-rows');
+
+  let entries = [];
+  let missCount = 0;
+  let blockedCount = 0;
+
+  toggle.addEventListener('click', () => panel.classList.add('open'));
+  closeButton.addEventListener('click', () => panel.classList.remove('open'));
+  clearButton.addEventListener('click', clear);
+  missesOnly.addEventListener('change', render);
+
+  function isShown(entry) {
+    return !missesOnly.checked || entry.status === 'miss';
+  }
+
+  function createRow(entry) {
+    const row = document.createElement('tr');
+    row.className = `request-log-${entry.status}`;
+    const type = entry.type?.split(';')[0];
+    row.append(
+      createCell(entry.url, 'request-log-url', entry.url),
+      createCell(entry.path, 'request-log-path', entry.path),
+      createCell(entry.status, 'request-log-status', entry.error),
+      createCell(entry.kind, 'request-log-kind'),
+      createCell(type, 'request-log-type', entry.type),
+      createCell(entry.size == null ? '' : formatSize(entry.size), 'request-log-size'),
+      createCell(formatDuration(entry.duration), 'request-log-time')
+    );
+    return row;
+  }
+
+  function count(entry, delta) {
+    if (entry.status === 'miss') missCount += delta;
+    if (entry.status === 'blocked') blockedCount += delta;
+  }
+
+  function updateSummary() {
+    const misses = missCount === 1 ? '1 miss' : `${missCount} misses`;
+    const blocked = blockedCount > 0 ? ` · ${blockedCount} blocked` : '';
+    summary.textContent = `${entries.length} requests · ${misses}${blocked}`;
+    toggle.textContent = missCount > 0 ? `Requests · ${misses}` : 'Requests';
+    toggle.classList.toggle('has-misses', missCount > 0);
+  }
+
+  function render() {
+    rows.replaceChildren(...entries.filter(isShown).map(createRow));
+    updateSummary();
+  }
+
+  function clear() {
+    entries = [];
+    missCount = 0;
+    blockedCount = 0;
+    render();
+  }
+
+  return {
+    // Append a { kind, url, path, status, type, size, duration, error } entry
+    add(entry) {
+      entries.push(entry);
+      count(entry, 1);
+      if (entries.length > MAX_ENTRIES) {
+        const dropped = entries.shift();
+        count(dropped, -1);
+        if (isShown(dropped)) rows.firstElementChild?.remove();
+      }
+
+      if (isShown(entry)) {
+        // Follow new requests unless the list was scrolled up
+        const atBottom = body.scrollTop + body.clientHeight >= body.scrollHeight - 4;
+        rows.append(createRow(entry));
+        if (atBottom) body.scrollTop = body.scrollHeight;
+      }
+      updateSummary();
+    },
+
+    clear,
+  };
+}
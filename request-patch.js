@@ -0,0 +1,250 @@
+import { parseRange } from './site-server.js';
+
+/**
+ * The fetch, Request and XMLHttpRequest patches of blob URL mode, shared by served
+ * pages (patch-script.js) and the workers they start (worker-patch.js). Requests
+ * for archive files go to their blob URLs, loading files that have none yet,
+ * and every request is logged. It is serialized into workers along with
+ * parseRange, so it must stay self-contained.
+ *
+ * env holds what differs between the two:
+ *   blobUrlMap        archive path -> blob URL, for the files loaded so far
+ *   resolvePath(url)  archive path a URL without query or hash names, or null
+ *   virtualBaseUrl()  VIRTUAL_ORIGIN URL relative Requests resolve against
+ *   hasFile(path)     whether the archive has a path; null when not known yet
+ *   loadFile(path)    resolves to the path's blob URL, or null when missing
+ *   getFallback(path) resolves to the { url, status } answering a missing path
+ *   logRequest(kind, url, path, status, details)
+ *   virtualOrigin, offline
+ *
+ * Returns { resolveRequest, requestStatus } for the page's other patches.
+ */
+export function patchRequests(scope, env) {
+  const blobUrlMap = env.blobUrlMap;
+  const originalFetch = scope.fetch;
+  const OriginalRequest = scope.Request;
+  const OriginalURL = scope.URL;
+
+  // 'hit' or 'miss' for archive paths, 'external' for URLs outside the archive
+  // ('blocked' in offline mode), or null for blob: and data: URLs the page created
+  function requestStatus(url, path) {
+    if (path !== null) return env.hasFile(path) ? 'hit' : 'miss';
+    if (/^(blob|data):/i.test(url)) return null;
+    return env.offline ? 'blocked' : 'external';
+  }
+
+  // The archive path a fetch or XHR target refers to, as { path, hash }, or null.
+  // Takes strings, URL objects and Requests, whose URLs are absolute: blob URLs
+  // are looked up in reverse and VIRTUAL_ORIGIN URLs map to paths. The query
+  // and hash do not take part in the lookup; a static server ignores the query,
+  // and the hash is kept on the blob URL.
+  function resolveRequest(input) {
+    const url = input instanceof OriginalRequest ? input.url : String(input);
+    const pathPart = url.split(/[?#]/)[0];
+    const hashIndex = url.indexOf('#');
+    const hash = hashIndex === -1 ? '' : url.substring(hashIndex);
+    if (pathPart.startsWith('blob:')) {
+      for (const path in blobUrlMap) {
+        if (blobUrlMap[path] === pathPart) return { path: path, hash: hash };
+      }
+      return null;
+    }
+    const path = env.resolvePath(pathPart);
+    return path === null ? null : { path: path, hash: hash };
+  }
+
+  // Answer a Range request for an archive file with 206 Partial Content
+  function fetchRange(blobUrl, rangeHeader, signal) {
+    return originalFetch
+      .call(scope, blobUrl, { signal: signal })
+      .then(function (response) {
+        return response.blob();
+      })
+      .then(function (blob) {
+        const range = parseRange(rangeHeader, blob.size);
+        const headers = { 'Content-Type': blob.type, 'Accept-Ranges': 'bytes' };
+        if (range === false) {
+          headers['Content-Range'] = 'bytes */' + blob.size;
+          return new Response(null, { status: 416, headers: headers });
+        }
+        if (range === null) {
+          headers['Content-Length'] = String(blob.size);
+          return new Response(blob, { status: 200, headers: headers });
+        }
+        const body = blob.slice(range.start, range.end + 1, blob.type);
+        headers['Content-Range'] = 'bytes ' + range.start + '-' + range.end + '/' + blob.size;
+        headers['Content-Length'] = String(body.size);
+        return new Response(body, { status: 206, headers: headers });
+      });
+  }
+
+  // Send a request to an archive file's blob URL with the original method,
+  // headers and body. Blob URLs only answer GET (other methods fail like on a
+  // static server), so HEAD is sent as a GET and the body dropped.
+  function fetchBlob(blobUrl, input, init) {
+    const request = new OriginalRequest(input instanceof OriginalRequest ? input : blobUrl, init);
+    if (request.headers.has('Range')) {
+      return fetchRange(blobUrl, request.headers.get('Range'), request.signal);
+    }
+    if (request.method === 'HEAD') {
+      return originalFetch
+        .call(scope, blobUrl, { headers: request.headers, signal: request.signal })
+        .then(function (response) {
+          return new Response(null, { status: response.status, headers: response.headers });
+        });
+    }
+    const body = request.method === 'GET' ? Promise.resolve(null) : request.arrayBuffer();
+    return body.then(function (body) {
+      return originalFetch.call(scope, blobUrl, {
+        method: request.method,
+        headers: request.headers,
+        body: body,
+        signal: request.signal,
+      });
+    });
+  }
+
+  function fetchArchive(input, init) {
+    const target = input == null ? null : resolveRequest(input);
+    const path = target && target.path;
+    const file = path && env.hasFile(path) !== false ? env.loadFile(path) : Promise.resolve(null);
+    return file.then(function (blobUrl) {
+      if (blobUrl) return fetchBlob(blobUrl + target.hash, input, init);
+
+      // Single-page apps and custom 404 pages answer unknown paths
+      return (path ? env.getFallback(path) : Promise.resolve(null)).then(function (fallback) {
+        if (!fallback) return originalFetch.call(scope, input, init);
+        return originalFetch
+          .call(scope, fallback.url)
+          .then(function (response) {
+            return response.blob();
+          })
+          .then(function (blob) {
+            return new Response(blob, {
+              status: fallback.status,
+              headers: { 'Content-Type': blob.type },
+            });
+          });
+      });
+    });
+  }
+
+  // Fallback pages answering with 200 count as hits, like on the real server.
+  // The status is taken once the request settles.
+  scope.fetch = function (input, init) {
+    const start = performance.now();
+    const url = input instanceof OriginalRequest ? input.url : String(input);
+    const log = function (response, error) {
+      const target = input == null ? null : resolveRequest(input);
+      const path = target && target.path;
+      let status = requestStatus(url, path);
+      if (status === 'miss' && response && response.ok) status = 'hit';
+      if (!status) return;
+      const length = response && response.headers.get('Content-Length');
+      env.logRequest('fetch', url, path, status, {
+        type: response && response.headers.get('Content-Type'),
+        size: length ? Number(length) : null,
+        duration: performance.now() - start,
+        error: error ? error.message : null,
+      });
+    };
+    const blocked =
+      input != null && !resolveRequest(input) && requestStatus(url, null) === 'blocked';
+    const response = blocked
+      ? Promise.reject(new TypeError('Blocked by offline mode: ' + url))
+      : fetchArchive(input, init);
+    return response.then(
+      function (response) {
+        log(response, null);
+        return response;
+      },
+      function (err) {
+        log(null, err);
+        throw err;
+      }
+    );
+  };
+
+  // Relative URLs cannot be resolved against a blob: page or worker, so Requests
+  // made from them point at its VIRTUAL_ORIGIN URL, which fetch maps back
+  scope.Request = function (input, init) {
+    if (typeof input === 'string' && !/^[a-z][a-z\d+.-]*:/i.test(input)) {
+      input = new OriginalURL(input, env.virtualBaseUrl()).href;
+    }
+    return new OriginalRequest(input, init);
+  };
+  scope.Request.prototype = OriginalRequest.prototype;
+
+  // A Range header set on an XHR goes to the blob URL, which the browser answers
+  // with 206 itself. An asynchronous request for a file with no blob URL yet is
+  // opened again at send(), once the file is loaded, with the headers set so far.
+  const OriginalXHR = scope.XMLHttpRequest;
+  if (OriginalXHR) {
+    scope.XMLHttpRequest = function () {
+      const xhr = new OriginalXHR();
+      const originalOpen = xhr.open;
+      const originalSetRequestHeader = xhr.setRequestHeader;
+      const originalSend = xhr.send;
+      let logged = null; // { url, path, start } of the open request
+      let deferred = null; // { method, rest, path, hash, headers } awaiting its file
+      let sending = null; // the deferred request while its file loads
+      xhr.open = function (method, url, ...rest) {
+        sending = null;
+        const target = url == null ? null : resolveRequest(url);
+        const path = target && target.path;
+        const blobUrl = target && blobUrlMap[path];
+        logged = { url: String(url), path: path, start: performance.now() };
+        deferred =
+          !blobUrl && path !== null && env.hasFile(path) !== false && rest[0] !== false
+            ? { method: method, rest: rest, path: path, hash: target.hash, headers: [] }
+            : null;
+        // Until then it is open on the virtual origin, as relative URLs are invalid here
+        const openUrl = deferred ? env.virtualOrigin + encodeURI(path) : url;
+        return originalOpen.call(this, method, blobUrl ? blobUrl + target.hash : openUrl, ...rest);
+      };
+      xhr.setRequestHeader = function (name, value) {
+        if (deferred) deferred.headers.push([name, value]);
+        return originalSetRequestHeader.call(this, name, value);
+      };
+      xhr.send = function (body) {
+        if (!deferred) return originalSend.call(this, body);
+        const request = (sending = deferred);
+        deferred = null;
+        env.loadFile(request.path).then(function (blobUrl) {
+          if (sending !== request) return; // Aborted or opened again meanwhile
+          sending = null;
+          const url = blobUrl
+            ? blobUrl + request.hash
+            : env.virtualOrigin + encodeURI(request.path);
+          originalOpen.call(xhr, request.method, url, ...request.rest);
+          request.headers.forEach(function (header) {
+            originalSetRequestHeader.call(xhr, header[0], header[1]);
+          });
+          originalSend.call(xhr, body);
+        });
+      };
+      const originalAbort = xhr.abort;
+      xhr.abort = function () {
+        deferred = sending = null;
+        return originalAbort.call(this);
+      };
+      // The status is taken once the request ends, when a deferred file has loaded
+      xhr.addEventListener('loadend', function (e) {
+        const status = logged && requestStatus(logged.url, logged.path);
+        if (status) {
+          env.logRequest('xhr', logged.url, logged.path, status, {
+            type: xhr.getResponseHeader('Content-Type'),
+            size: e.loaded,
+            duration: performance.now() - logged.start,
+            error: xhr.status === 0 ? 'Request failed' : null,
+          });
+        }
+        logged = null;
+      });
+      return xhr;
+    };
+    scope.XMLHttpRequest.prototype = OriginalXHR.prototype;
+  }
+
+  return { resolveRequest: resolveRequest, requestStatus: requestStatus };
+}
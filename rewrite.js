@@ -0,0 +1,483 @@
+import { rewriteCssUrls } from './css-urls.js';
+import { VIRTUAL_ORIGIN, rewriteModuleUrls } from './module-urls.js';
+import { BLOB_SITE_POLICY } from './offline-policy.js';
+import { isArchivePath } from './open-archive.js';
+import { createPatchScript } from './patch-script.js';
+import { parseRefresh, rewriteSrcset } from './url-attributes.js';
+
+// Percent escapes in URLs stand for the characters of the file name, as on a
+// web server; malformed ones are kept as they are
+function decodePath(path) {
+  try {
+    return decodeURIComponent(path);
+  } catch (e) {
+    return path;
+  }
+}
+
+// Normalize path (remove ./ and resolve ../)
+export function normalizePath(basePath, relativePath) {
+  if (relativePath.startsWith('/')) {
+    return decodePath(relativePath.substring(1));
+  }
+  if (
+    relativePath.startsWith('http://') ||
+    relativePath.startsWith('https://') ||
+    relativePath.startsWith('data:') ||
+    relativePath.startsWith('blob:')
+  ) {
+    return null; // External URL, don't process
+  }
+
+  // Get directory of base path
+  const baseDir = basePath.includes('/')
+    ? basePath.substring(0, basePath.lastIndexOf('/') + 1)
+    : '';
+
+  // Combine and normalize; only the URL's own segments are escaped
+  const parts = [...baseDir.split('/'), ...relativePath.split('/').map(decodePath)];
+
+  // Resolve ./ and ../ segment by segment
+  const resolved = [];
+  for (const part of parts) {
+    if (part === '..') {
+      resolved.pop();
+    } else if (part !== '' && part !== '.') {
+      resolved.push(part);
+    }
+  }
+
+  return resolved.join('/');
+}
+
+// Pages and inner archives open through the click interceptor rather than blob URLs
+function isPagePath(path) {
+  return /\.html?$/i.test(path) || isArchivePath(path);
+}
+
+// Blob URL of the file url refers to from basePath, keeping a #fragment such as
+// the symbol id in "icons.svg#star"; null when the archive has no such file
+function resolveBlobUrl(basePath, url, blobUrls) {
+  const pathPart = url.split('#')[0];
+  const resolved = pathPart && normalizePath(basePath, pathPart);
+  if (resolved && blobUrls.has(resolved)) {
+    return blobUrls.get(resolved) + url.substring(pathPart.length);
+  }
+  return null;
+}
+
+// Tell onUnresolved(url, path) about a URL with no blob URL that names a path in
+// the archive, unlike other sites' URLs and same-document #fragments, so the
+// caller can log it as a miss when the archive has no such file. Returns null.
+function reportUnresolved(basePath, url, onUnresolved) {
+  const pathPart = url.split(/[?#]/)[0];
+  if (onUnresolved && pathPart && !/^([a-z][a-z\d+.-]*:|\/\/)/i.test(pathPart)) {
+    onUnresolved(url, normalizePath(basePath, pathPart));
+  }
+  return null;
+}
+
+const XLINK_NS = 'http://www.w3.org/1999/xlink';
+
+// Attributes holding a single URL, and the elements they apply to ('*' for any)
+const URL_ATTRIBUTES = [
+  ['src', '*'],
+  ['href', '*'],
+  ['poster', 'video'],
+  ['data', 'object'],
+];
+
+// Inline scripts holding JavaScript, not JSON, templates or import maps
+function isJavaScript(script) {
+  return !script.type || script.type === 'module' || /(java|ecma)script/i.test(script.type);
+}
+
+const isModulePath = (path) => /\.m?js$/i.test(path);
+
+/**
+ * The page's import map for blob URL mode: every archive module by its
+ * VIRTUAL_ORIGIN URL, which modules in import cycles import each other by,
+ * plus the page's own "imports" with their targets pointed at blob URLs
+ * ("lib/" prefixes are expanded per file). Scopes are dropped: modules load
+ * from blob URLs, which no scope prefix can match.
+ */
+function createImportMap(pageImports, basePath, blobUrls) {
+  const imports = {};
+  for (const [path, url] of blobUrls) {
+    if (isModulePath(path)) {
+      imports[VIRTUAL_ORIGIN + path] = url;
+    }
+  }
+
+  for (const [specifier, target] of Object.entries(pageImports)) {
+    const resolved = typeof target === 'string' ? normalizePath(basePath, target) : null;
+    if (resolved === null) {
+      imports[specifier] = target; // External URL
+    } else if (specifier.endsWith('/') && target.endsWith('/')) {
+      const prefix = resolved ? resolved + '/' : '';
+      for (const [path, url] of blobUrls) {
+        if (path.startsWith(prefix)) {
+          imports[specifier + path.substring(prefix.length)] = url;
+        }
+      }
+    } else if (blobUrls.has(resolved)) {
+      imports[specifier] = blobUrls.get(resolved);
+    }
+  }
+  return { imports };
+}
+
+// Relative URLs resolve against <base href> when that points into the archive
+function getBasePath(doc, htmlPath) {
+  const baseHref = doc.querySelector('base[href]')?.getAttribute('href').split(/[?#]/)[0];
+  const baseResolved = baseHref ? normalizePath(htmlPath, baseHref) : null;
+  if (baseResolved === null) {
+    return htmlPath;
+  }
+  return baseHref.endsWith('/') && baseResolved ? baseResolved + '/' : baseResolved;
+}
+
+// <template> contents are separate fragments that querySelectorAll does not reach
+function getRoots(doc) {
+  const roots = [doc];
+  for (let i = 0; i < roots.length; i++) {
+    roots.push(...[...roots[i].querySelectorAll('template')].map((template) => template.content));
+  }
+  return roots;
+}
+
+// Serialize a parsed document, doctype and comments outside <html> included
+function serializeDocument(doc) {
+  return [...doc.childNodes]
+    .map((node) => {
+      if (node.nodeType === Node.DOCUMENT_TYPE_NODE) {
+        return new XMLSerializer().serializeToString(node);
+      }
+      if (node.nodeType === Node.COMMENT_NODE) {
+        return `<!--${node.data}-->`;
+      }
+      return node.outerHTML ?? '';
+    })
+    .join('\n');
+}
+
+/**
+ * Rewrite an HTML page to load the archive's files from blob URLs.
+ * The page is parsed with DOMParser, so only real URL attributes change and
+ * text content is left alone; inline scripts only get their import specifiers
+ * rewritten. The patch script becomes the first child of <head>. In offline
+ * mode a Content-Security-Policy <meta> goes before it and the patch script
+ * refuses requests to other sites. Files no element event reports (srcset
+ * candidates, SVG references and CSS urls) go to onUnresolved when they have
+ * no blob URL.
+ */
+export function processHtml(text, htmlPath, blobUrls, offline = false, onUnresolved = null) {
+  const doc = new DOMParser().parseFromString(text, 'text/html');
+  const basePath = getBasePath(doc, htmlPath);
+
+  // Non-page files only: HTML blob URLs go stale once the pages are processed
+  const fileUrl = (url) => {
+    const resolved = normalizePath(basePath, url.split(/[?#]/)[0]);
+    return resolved && isPagePath(resolved) ? null : resolveBlobUrl(basePath, url, blobUrls);
+  };
+  const loadedUrl = (url) => fileUrl(url) ?? reportUnresolved(basePath, url, onUnresolved);
+
+  for (const root of getRoots(doc)) {
+    // src may point at a page (iframes); other attributes only at files, so links
+    // to pages and archives stay relative for the click interceptor
+    for (const [attr, tag] of URL_ATTRIBUTES) {
+      for (const el of root.querySelectorAll(tag === '*' ? `[${attr}]` : `${tag}[${attr}]`)) {
+        const url = el.getAttribute(attr).trim();
+        const blobUrl = attr === 'src' ? resolveBlobUrl(basePath, url, blobUrls) : fileUrl(url);
+        if (blobUrl) {
+          el.setAttribute(attr, blobUrl);
+        }
+      }
+    }
+
+    // SVG <use xlink:href="icons.svg#star">
+    for (const el of root.querySelectorAll('[*|href]')) {
+      const url = el.getAttributeNS(XLINK_NS, 'href');
+      const blobUrl = url && loadedUrl(url.trim());
+      if (blobUrl) {
+        el.setAttributeNS(XLINK_NS, 'xlink:href', blobUrl);
+      }
+    }
+
+    // Responsive images: srcset on img and source, imagesrcset on preload links
+    for (const attr of ['srcset', 'imagesrcset']) {
+      for (const el of root.querySelectorAll(`[${attr}]`)) {
+        el.setAttribute(attr, rewriteSrcset(el.getAttribute(attr), loadedUrl));
+      }
+    }
+
+    // Refreshes to files; those to pages are followed by the patch script
+    for (const el of root.querySelectorAll('meta[http-equiv][content]')) {
+      const refresh =
+        el.getAttribute('http-equiv').toLowerCase() === 'refresh' &&
+        parseRefresh(el.getAttribute('content'));
+      const blobUrl = refresh && fileUrl(refresh.url);
+      if (blobUrl) {
+        el.setAttribute('content', `${refresh.delay}; url=${blobUrl}`);
+      }
+    }
+
+    // url() in <style> elements and style attributes
+    for (const el of root.querySelectorAll('style')) {
+      el.textContent = processCss(el.textContent, basePath, blobUrls, onUnresolved);
+    }
+    for (const el of root.querySelectorAll('[style]')) {
+      const style = processCss(el.getAttribute('style'), basePath, blobUrls, onUnresolved);
+      el.setAttribute('style', style);
+    }
+
+    // Imports, dynamic imports and import.meta.url in inline scripts
+    for (const el of root.querySelectorAll('script:not([src])')) {
+      if (isJavaScript(el)) {
+        el.textContent = processModule(el.textContent, basePath, blobUrls);
+      }
+    }
+  }
+
+  // Only one import map may apply, so the page's own are merged into ours
+  const pageImports = {};
+  for (const el of doc.querySelectorAll('script[type="importmap"]')) {
+    try {
+      Object.assign(pageImports, JSON.parse(el.textContent).imports);
+    } catch (e) {
+      // Browsers ignore invalid import maps too
+    }
+    el.remove();
+  }
+  const { imports } = createImportMap(pageImports, basePath, blobUrls);
+  if (Object.keys(imports).length > 0) {
+    const importMap = doc.createElement('script');
+    importMap.type = 'importmap';
+    importMap.textContent = JSON.stringify({ imports });
+    doc.head.prepend(importMap);
+  }
+
+  const patch = doc.createElement('template');
+  patch.innerHTML = createPatchScript(blobUrls, htmlPath, offline);
+  doc.head.prepend(patch.content);
+
+  if (offline) {
+    const policy = doc.createElement('meta');
+    policy.httpEquiv = 'Content-Security-Policy';
+    policy.content = BLOB_SITE_POLICY;
+    doc.head.prepend(policy);
+  }
+
+  return serializeDocument(doc);
+}
+
+/**
+ * Rewrite a JavaScript file's imports to blob URLs: relative static and dynamic
+ * imports, and new URL("...", import.meta.url). Imports of modules in
+ * cyclePaths, the import cycle being processed, use their VIRTUAL_ORIGIN URL
+ * instead, as their blob URLs do not exist yet. Bare specifiers are left to the
+ * import map, and import.meta.url becomes the module's VIRTUAL_ORIGIN URL.
+ */
+export function processModule(text, modulePath, blobUrls, cyclePaths = new Set()) {
+  const rewrite = (url, kind) => {
+    // "lodash" is a bare specifier, but new URL() resolves "worker.js" relative to the module
+    if (kind !== 'url' && !/^\.{0,2}\//.test(url)) {
+      return null;
+    }
+    const resolved = normalizePath(modulePath, url.split(/[?#]/)[0]);
+    if (resolved && cyclePaths.has(resolved)) {
+      return VIRTUAL_ORIGIN + resolved;
+    }
+    return resolveBlobUrl(modulePath, url.split('?')[0], blobUrls);
+  };
+  return rewriteModuleUrls(text, rewrite, VIRTUAL_ORIGIN + modulePath);
+}
+
+/**
+ * Group modules (path -> source) by the import graph: each group is a single
+ * module or an import cycle, and comes after the groups it imports, so
+ * processing them in order gives every import a processed blob URL to point
+ * at (Tarjan's strongly connected components).
+ */
+export function orderModuleGraph(modules) {
+  const groups = [];
+  const stack = [];
+  const indexes = new Map(); // path -> [index, lowlink]
+  const onStack = new Set();
+
+  const imports = (path) => {
+    const found = new Set();
+    rewriteModuleUrls(modules.get(path), (url, kind) => {
+      const resolved =
+        kind !== 'url' && /^\.{0,2}\//.test(url) && normalizePath(path, url.split(/[?#]/)[0]);
+      if (resolved && modules.has(resolved)) {
+        found.add(resolved);
+      }
+      return null;
+    });
+    return found;
+  };
+
+  const visit = (path) => {
+    const link = [indexes.size, indexes.size];
+    indexes.set(path, link);
+    stack.push(path);
+    onStack.add(path);
+
+    for (const dependency of imports(path)) {
+      if (!indexes.has(dependency)) {
+        visit(dependency);
+        link[1] = Math.min(link[1], indexes.get(dependency)[1]);
+      } else if (onStack.has(dependency)) {
+        link[1] = Math.min(link[1], indexes.get(dependency)[0]);
+      }
+    }
+
+    if (link[0] === link[1]) {
+      const group = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        group.push(member);
+      } while (member !== path);
+      groups.push(group);
+    }
+  };
+
+  for (const path of modules.keys()) {
+    if (!indexes.has(path)) {
+      visit(path);
+    }
+  }
+  return groups;
+}
+
+// Process CSS files: url(), @import and image-set() resolve against the sheet's own
+// path. URLs with no blob URL go to onUnresolved, as for processHtml().
+export function processCss(text, cssPath, blobUrls, onUnresolved = null) {
+  return rewriteCssUrls(
+    text,
+    (url) => resolveBlobUrl(cssPath, url, blobUrls) ?? reportUnresolved(cssPath, url, onUnresolved)
+  );
+}
+
+/**
+ * Order stylesheets (path -> text) so each comes after the sheets it
+ * @imports: processing them in this order means an imported sheet already has
+ * its processed blob URL when the importing sheet is rewritten to point at it.
+ * Import cycles are cut where they are found.
+ */
+export function orderByCssImports(sheets) {
+  const ordered = [];
+  const visited = new Set();
+
+  const visit = (path) => {
+    if (visited.has(path)) return;
+    visited.add(path);
+    rewriteCssUrls(sheets.get(path), (url, kind) => {
+      const resolved = kind === 'import' && normalizePath(path, url.split(/[?#]/)[0]);
+      if (resolved && sheets.has(resolved)) {
+        visit(resolved);
+      }
+      return null;
+    });
+    ordered.push(path);
+  };
+
+  for (const path of sheets.keys()) {
+    visit(path);
+  }
+  return ordered;
+}
+
+// Collects the archive paths URLs resolve to from basePath; add() returns null
+// so it can stand in for a rewrite callback
+function createPathCollector(basePath) {
+  const paths = new Set();
+  const add = (url) => {
+    const pathPart = url.trim().split(/[?#]/)[0];
+    const resolved = pathPart && normalizePath(basePath, pathPart);
+    if (resolved) {
+      paths.add(resolved);
+    }
+    return null;
+  };
+  return { paths, add };
+}
+
+/**
+ * The archive paths a file loads as it is shown, which blob URL mode inflates
+ * along with it: a stylesheet's imports, fonts and backgrounds, a module's
+ * imports and new URL() assets, and a page's stylesheets, scripts, images,
+ * media and frames, but not the pages and files it links to. Paths the archive
+ * lacks are included; callers skip them.
+ */
+export function findCssDependencies(text, cssPath) {
+  const { paths, add } = createPathCollector(cssPath);
+  rewriteCssUrls(text, add);
+  return paths;
+}
+
+export function findModuleDependencies(text, modulePath) {
+  const { paths, add } = createPathCollector(modulePath);
+  rewriteModuleUrls(
+    text,
+    (url, kind) => (kind !== 'url' && !/^\.{0,2}\//.test(url) ? null : add(url)),
+    VIRTUAL_ORIGIN + modulePath
+  );
+  return paths;
+}
+
+export function findHtmlDependencies(text, htmlPath) {
+  const doc = new DOMParser().parseFromString(text, 'text/html');
+  const basePath = getBasePath(doc, htmlPath);
+  const { paths, add } = createPathCollector(basePath);
+  const isLink = (el) => el.localName === 'a' || el.localName === 'area';
+
+  for (const root of getRoots(doc)) {
+    for (const [attr, tag] of URL_ATTRIBUTES) {
+      for (const el of root.querySelectorAll(tag === '*' ? `[${attr}]` : `${tag}[${attr}]`)) {
+        if (attr !== 'href' || !isLink(el)) {
+          add(el.getAttribute(attr));
+        }
+      }
+    }
+    for (const el of root.querySelectorAll('[*|href]')) {
+      if (el.hasAttributeNS(XLINK_NS, 'href') && !isLink(el)) {
+        add(el.getAttributeNS(XLINK_NS, 'href'));
+      }
+    }
+    for (const attr of ['srcset', 'imagesrcset']) {
+      for (const el of root.querySelectorAll(`[${attr}]`)) {
+        rewriteSrcset(el.getAttribute(attr), add);
+      }
+    }
+    for (const el of root.querySelectorAll('style')) {
+      findCssDependencies(el.textContent, basePath).forEach((path) => paths.add(path));
+    }
+    for (const el of root.querySelectorAll('[style]')) {
+      findCssDependencies(el.getAttribute('style'), basePath).forEach((path) => paths.add(path));
+    }
+    for (const el of root.querySelectorAll('script:not([src])')) {
+      if (isJavaScript(el)) {
+        findModuleDependencies(el.textContent, basePath).forEach((path) => paths.add(path));
+      }
+    }
+  }
+
+  // Import map targets; "lib/" prefixes name folders, whose modules blob URL mode
+  // prepares up front anyway
+  for (const el of doc.querySelectorAll('script[type="importmap"]')) {
+    try {
+      for (const target of Object.values(JSON.parse(el.textContent).imports ?? {})) {
+        if (typeof target === 'string' && !target.endsWith('/')) {
+          add(target);
+        }
+      }
+    } catch (e) {
+      // Browsers ignore invalid import maps too
+    }
+  }
+  return paths;
+}
@@ -1,37 +1,49 @@
-const MIME_TYPES = {
-  html: 'text/html',
-  htm: 'text/html',
-  css: 'text/css',
-  js: 'application/javascript',
-  mjs: 'application/javascript',
-  json: 'application/json',
-  png: 'image/png',
-  jpg: 'image/jpeg',
-  jpeg: 'image/jpeg',
-  gif: 'image/gif',
-  svg: 'image/svg+xml',
-  webp: 'image/webp',
-  ico: 'image/x-icon',
-  webm: 'video/webm',
-  mp4: 'video/mp4',
-  woff: 'font/woff',
-  woff2: 'font/woff2',
-  ttf: 'font/ttf',
-  eot: 'application/vnd.ms-fontobject',
-  zip: 'application/zip',
-  txt: 'text/plain',
-  xml: 'application/xml',
-  map: 'application/json',
-};
-
-function getMimeType(filename) {
-  const ext = filename.split('.').pop().toLowerCase();
-  return MIME_TYPES[ext] || 'application/octet-stream';
-}
+import { findIndexPath, readFile } from './archive.js';
+import { groupByDirectory, hasDirectory, renderDirectoryListing } from './directory-listing.js';
+import { createFileBrowser } from './file-browser.js';
+import { openDirectoryEntry, openFileList } from './folder-archive.js';
+import { formatSize } from './format.js';
+import { decodeContent, getContentType, getMimeType, readText } from './mime.js';
+import { NESTED_SEPARATOR, closeNestedArchives, mountNestedArchives } from './nested-archive.js';
+import {
+  SERVICE_WORKER_SITE_POLICY,
+  VIEWER_POLICY,
+  addViolationReporter,
+} from './offline-policy.js';
+import { isArchivePath, openArchive } from './open-archive.js';
+import {
+  clearRecent,
+  deleteRecent,
+  getRecentData,
+  listRecent,
+  saveRecent,
+  touchRecent,
+} from './recent-store.js';
+import { downloadArchive } from './remote-archive.js';
+import { createRequestLog } from './request-log.js';
+import {
+  findCssDependencies,
+  findHtmlDependencies,
+  findModuleDependencies,
+  orderByCssImports,
+  orderModuleGraph,
+  processCss,
+  processHtml,
+  processModule,
+} from './rewrite.js';
+import { createSiteFallback, resolveFallback } from './site-fallback.js';
+import { getCustomHeaders, loadSiteRules, matchRedirect } from './site-rules.js';
+import { serveRequest } from './site-server.js';
 
 // Store blob URLs for cleanup
 let createdBlobUrls = [];
 
+// The open archive, closed when the next one is loaded
+let activeArchive = null;
+
+// Fallback routing of the open archive ({ pagePath, notFoundPath, enabled })
+let siteFallback = null;
+
 // DOM elements
 const dropZone = document.getElementById('drop-zone');
 const loading = document.getElementById('loading');
@@ -41,6 +53,17 @@ const mainContainer = document.getElementById('main-container');
 const fileInput = document.getElementById('file-input');
 const inputWrapper = document.getElementById('input-wrapper');
 const uploadBtn = document.getElementById('upload-btn');
+const folderInput = document.getElementById('folder-input');
+const folderBtn = document.getElementById('folder-btn');
+
+// Sidebar listing the open archive's files
+const fileBrowser = createFileBrowser({ onOpenPage: openPage });
+
+// Panel listing the served site's requests, and whether the archive had each file
+const requestLog = createRequestLog();
+
+// A report entry that survives a reload lost its report; it is restored at startup if remembered
+const reloadedReport = history.state?.page === 'report';
 
 // Clean up stale history state from a previous session (page was reloaded)
 if (history.state?.page) {
@@ -55,6 +78,16 @@ fileInput.addEventListener('change', (e) => {
   }
 });
 
+// Folder picker handler
+folderBtn.addEventListener('click', () => folderInput.click());
+folderInput.addEventListener('change', (e) => {
+  if (e.target.files.length > 0) {
+    const fileList = e.target.files;
+    const name = fileList[0].webkitRelativePath.split('/')[0] || 'folder';
+    handleFolder(name, () => openFileList(fileList));
+  }
+});
+
 dropZone.addEventListener('dragover', (e) => {
   e.preventDefault();
   dropZone.classList.add('drag-over');
@@ -69,6 +102,13 @@ dropZone.addEventListener('drop', (e) => {
   e.preventDefault();
   dropZone.classList.remove('drag-over');
 
+  // Folders arrive as directory entries, which must be taken during the event
+  const entry = e.dataTransfer.items?.[0]?.webkitGetAsEntry?.();
+  if (entry?.isDirectory) {
+    handleFolder(entry.name, () => openDirectoryEntry(entry));
+    return;
+  }
+
   const file = e.dataTransfer.files[0];
   if (file) {
     handleFile(file);
@@ -85,6 +125,7 @@ let hasReportLoaded = false;
 // Return to home view (hide report, show main)
 function returnToViewer() {
   reportFrame.classList.remove('active');
+  fileBrowser.closePreview();
   mainContainer.style.display = '';
   hideLoading();
   hideError();
@@ -119,10 +160,15 @@ window.addEventListener('popstate', (event) => {
     // Forward navigation - just show the iframe (content still there)
     showReportView();
   } else if (event.state?.page === 'report') {
-    // Stale report entry (page reloaded, report lost) — neuter and retreat
-    history.replaceState({ page: 'home' }, '');
-    ignoreNextPopstate = true;
-    history.back();
+    // Stale report entry (page reloaded, report lost) — reopen the last archive
+    // in place when remembered, otherwise neuter and retreat
+    restoreLastReport({ keepHistoryEntry: true }).then((restored) => {
+      if (!restored) {
+        history.replaceState({ page: 'home' }, '');
+        ignoreNextPopstate = true;
+        history.back();
+      }
+    });
   } else {
     // Back navigation - show home
     returnToViewer();
@@ -186,507 +232,953 @@ function hideLoading() {
   loading.classList.remove('active');
 }
 
-// Normalize path (remove ./ and resolve ../)
-function normalizePath(basePath, relativePath) {
-  if (relativePath.startsWith('/')) {
-    return relativePath.substring(1);
-  }
-  if (
-    relativePath.startsWith('http://') ||
-    relativePath.startsWith('https://') ||
-    relativePath.startsWith('data:') ||
-    relativePath.startsWith('blob:')
-  ) {
-    return null; // External URL, don't process
-  }
-
-  // Get directory of base path
-  const baseDir = basePath.includes('/')
-    ? basePath.substring(0, basePath.lastIndexOf('/') + 1)
-    : '';
+const passwordPrompt = document.getElementById('password-prompt');
+const passwordMessage = document.getElementById('password-message');
+const passwordInput = document.getElementById('password-input');
+const passwordCancel = document.getElementById('password-cancel');
 
-  // Combine and normalize
-  let combined = baseDir + relativePath;
+// Ask for an archive password in the drop zone; resolves to null when cancelled.
+// The input is cleared as soon as the password is read so it never lingers.
+function promptForPassword(retry) {
+  hideLoading();
+  passwordMessage.textContent = retry
+    ? 'Wrong password. Try again.'
+    : 'Enter the password to open it.';
+  passwordPrompt.classList.toggle('retry', retry);
+  passwordPrompt.classList.add('active');
+  passwordInput.value = '';
+  passwordInput.focus();
+
+  return new Promise((resolve) => {
+    const finish = (password) => {
+      passwordPrompt.classList.remove('active');
+      passwordInput.value = '';
+      passwordPrompt.removeEventListener('submit', onSubmit);
+      passwordCancel.removeEventListener('click', onCancel);
+      passwordInput.removeEventListener('keydown', onKeydown);
+      resolve(password);
+    };
+    const onSubmit = (e) => {
+      e.preventDefault();
+      finish(passwordInput.value);
+    };
+    const onCancel = () => finish(null);
+    const onKeydown = (e) => {
+      if (e.key === 'Escape') finish(null);
+    };
+    passwordPrompt.addEventListener('submit', onSubmit);
+    passwordCancel.addEventListener('click', onCancel);
+    passwordInput.addEventListener('keydown', onKeydown);
+  });
+}
 
-  // Remove ./
-  combined = combined.replace(/\.\//g, '');
+const entryChooser = document.getElementById('entry-chooser');
+const entryChooserList = document.getElementById('entry-chooser-list');
+const entryChooserCancel = document.getElementById('entry-chooser-cancel');
 
-  // Resolve ../
-  const parts = combined.split('/');
-  const resolved = [];
-  for (const part of parts) {
-    if (part === '..') {
-      resolved.pop();
-    } else if (part !== '' && part !== '.') {
-      resolved.push(part);
+// Ask which page of a multi-site archive to open, listing htmlPaths by directory
+// with selectedPath preselected; resolves to the chosen path, or null when cancelled.
+function chooseEntryPoint(htmlPaths, selectedPath) {
+  hideLoading();
+  entryChooserList.replaceChildren();
+  for (const [dir, paths] of groupByDirectory(htmlPaths)) {
+    const group = document.createElement('fieldset');
+    const legend = document.createElement('legend');
+    legend.textContent = '/' + dir;
+    group.append(legend);
+    for (const path of paths) {
+      const label = document.createElement('label');
+      const radio = document.createElement('input');
+      radio.type = 'radio';
+      radio.name = 'entry';
+      radio.value = path;
+      radio.checked = path === selectedPath;
+      label.append(radio, path.substring(dir.length));
+      group.append(label);
     }
+    entryChooserList.append(group);
   }
-
-  return resolved.join('/');
+  entryChooser.classList.add('active');
+  entryChooser.querySelector('input:checked')?.focus();
+
+  return new Promise((resolve) => {
+    const finish = (path) => {
+      entryChooser.classList.remove('active');
+      entryChooser.removeEventListener('submit', onSubmit);
+      entryChooserCancel.removeEventListener('click', onCancel);
+      entryChooser.removeEventListener('keydown', onKeydown);
+      resolve(path);
+    };
+    const onSubmit = (e) => {
+      e.preventDefault();
+      finish(new FormData(entryChooser).get('entry'));
+    };
+    const onCancel = () => finish(null);
+    const onKeydown = (e) => {
+      if (e.key === 'Escape') finish(null);
+    };
+    entryChooser.addEventListener('submit', onSubmit);
+    entryChooserCancel.addEventListener('click', onCancel);
+    entryChooser.addEventListener('keydown', onKeydown);
+  });
 }
 
-async function handleFile(file) {
-  if (!file.name.endsWith('.zip')) {
-    showError('Please drop a ZIP file.');
-    return;
+const remotePrompt = document.getElementById('remote-prompt');
+const remotePromptUrl = document.getElementById('remote-prompt-url');
+const remotePromptCancel = document.getElementById('remote-prompt-cancel');
+
+// Ask before downloading and running the archive a ?src= link names, as its pages
+// run in the viewer's origin; resolves to true to open it
+function confirmRemoteArchive(src) {
+  hideLoading();
+  let url = src;
+  try {
+    url = new URL(src, location.href).href;
+  } catch (e) {
+    // downloadArchive() reports invalid URLs
   }
+  remotePromptUrl.textContent = url;
+  remotePrompt.classList.add('active');
+  remotePrompt.querySelector('button[type="submit"]').focus();
+
+  return new Promise((resolve) => {
+    const finish = (confirmed) => {
+      remotePrompt.classList.remove('active');
+      remotePrompt.removeEventListener('submit', onSubmit);
+      remotePromptCancel.removeEventListener('click', onCancel);
+      remotePrompt.removeEventListener('keydown', onKeydown);
+      resolve(confirmed);
+    };
+    const onSubmit = (e) => {
+      e.preventDefault();
+      finish(true);
+    };
+    const onCancel = () => finish(false);
+    const onKeydown = (e) => {
+      if (e.key === 'Escape') finish(false);
+    };
+    remotePrompt.addEventListener('submit', onSubmit);
+    remotePromptCancel.addEventListener('click', onCancel);
+    remotePrompt.addEventListener('keydown', onKeydown);
+  });
+}
 
+// Viewer options, persisted across sessions
+const OPTIONS_KEY = 'zip-zerver:options';
+const options = { serviceWorker: false, rememberRecent: false, offline: true };
+try {
+  Object.assign(options, JSON.parse(localStorage.getItem(OPTIONS_KEY)));
+} catch (e) {
+  // Ignore unreadable or blocked storage and keep the defaults
+}
+
+function saveOptions() {
   try {
-    // Clean up previous blob URLs and state
-    for (const url of createdBlobUrls) {
-      URL.revokeObjectURL(url);
-    }
-    createdBlobUrls = [];
-    window.__zipBlobUrls = null;
-    window.__currentVirtualPath = null;
+    localStorage.setItem(OPTIONS_KEY, JSON.stringify(options));
+  } catch (e) {
+    // Storage may be unavailable (private mode); options then last for this session
+  }
+}
 
-    // Replace iframe to purge its history entries from previous zips
-    const oldFrame = reportFrame;
-    const newFrame = oldFrame.cloneNode(false);
-    newFrame.removeAttribute('src');
-    oldFrame.parentNode.replaceChild(newFrame, oldFrame);
-    reportFrame = newFrame;
+// Per-archive fallback routing, auto-enabled when the archive ships 200.html, 404.html or _redirects
+const siteFallbackToggle = document.getElementById('site-fallback');
+siteFallbackToggle.addEventListener('change', () => {
+  if (siteFallback) {
+    siteFallback.enabled = siteFallbackToggle.checked;
+  }
+});
 
-    // Start zipper animation if available (drag drop case), otherwise show loading
-    const animationStarted = window.dragOverlay?.startUnzip() ?? false;
-    if (!animationStarted) {
-      showLoading('Loading zip.js library...');
-    }
+// Service workers need a secure context (https:// or localhost)
+const serviceWorkerSupported = 'serviceWorker' in navigator && window.isSecureContext;
+const serviceWorkerToggle = document.getElementById('option-service-worker');
+serviceWorkerToggle.checked = options.serviceWorker && serviceWorkerSupported;
+serviceWorkerToggle.disabled = !serviceWorkerSupported;
+serviceWorkerToggle.addEventListener('change', () => {
+  options.serviceWorker = serviceWorkerToggle.checked;
+  saveOptions();
+});
 
-    // Dynamically load zip.js
-    const { BlobReader, BlobWriter, ZipReader } =
-      await import('https://cdn.jsdelivr.net/npm/@zip.js/zip.js@2.7.34/+esm');
+// Served pages could bypass offline mode through window.parent, so the viewer takes
+// on VIEWER_POLICY when an offline site opens. A <meta> policy cannot be lifted
+// again; turning offline mode off then applies after a reload.
+function applyViewerPolicy() {
+  if (document.getElementById('viewer-policy')) return;
+  const policy = document.createElement('meta');
+  policy.id = 'viewer-policy';
+  policy.httpEquiv = 'Content-Security-Policy';
+  policy.content = VIEWER_POLICY;
+  document.head.append(policy);
+}
 
-    if (!animationStarted) {
-      showLoading('Reading ZIP file...');
-    }
+// Offline mode applies to sites opened after it changes, as pages are rewritten on load
+const offlineToggle = document.getElementById('option-offline');
+offlineToggle.checked = options.offline;
+offlineToggle.addEventListener('change', () => {
+  options.offline = offlineToggle.checked;
+  saveOptions();
+});
 
-    // Extract the zip
-    const zipReader = new ZipReader(new BlobReader(file));
-    const entries = await zipReader.getEntries();
-
-    const files = new Map(); // path -> blob
-    const blobUrls = new Map(); // path -> blob URL
-    let indexPath = null;
-    let commonPrefix = null;
-
-    // First pass: find common prefix
-    for (const entry of entries) {
-      if (!entry.directory) {
-        const path = entry.filename;
-
-        // Detect common prefix (e.g., "playwright-report/")
-        if (commonPrefix === null) {
-          const slashIndex = path.indexOf('/');
-          if (slashIndex > 0) {
-            commonPrefix = path.substring(0, slashIndex + 1);
-          } else {
-            commonPrefix = '';
-          }
-        }
+// Recent archives live in IndexedDB only and are dropped when the option is turned off
+const rememberRecentToggle = document.getElementById('option-remember-recent');
+rememberRecentToggle.checked = options.rememberRecent;
+rememberRecentToggle.addEventListener('change', async () => {
+  options.rememberRecent = rememberRecentToggle.checked;
+  saveOptions();
+  if (!options.rememberRecent) {
+    await clearRecent().catch((err) => console.warn('Could not clear recent archives:', err));
+  }
+  renderRecentList();
+});
 
-        // Check if this entry starts with different prefix
-        if (commonPrefix && !path.startsWith(commonPrefix)) {
-          commonPrefix = '';
-        }
-      }
-    }
+const recentSection = document.getElementById('recent');
+const recentList = document.getElementById('recent-list');
+
+function createRecentItem(record) {
+  const item = document.createElement('li');
+
+  const openButton = document.createElement('button');
+  openButton.className = 'recent-open';
+  const name = document.createElement('span');
+  name.className = 'recent-name';
+  name.textContent = record.name;
+  const details = document.createElement('span');
+  details.className = 'recent-details';
+  details.textContent = `${formatSize(record.size)} · ${new Date(record.openedAt).toLocaleString()}`;
+  openButton.append(name, details);
+  openButton.addEventListener('click', () => openRecent(record.id));
+
+  const removeButton = document.createElement('button');
+  removeButton.className = 'recent-remove';
+  removeButton.textContent = '×';
+  removeButton.title = 'Forget';
+  removeButton.setAttribute('aria-label', `Forget ${record.name}`);
+  removeButton.addEventListener('click', async () => {
+    await deleteRecent(record.id).catch((err) => console.warn('Could not forget archive:', err));
+    renderRecentList();
+  });
 
-    // Count non-directory entries for progress
-    const totalFiles = entries.filter((e) => !e.directory).length;
+  item.append(openButton, removeButton);
+  return item;
+}
 
-    // Second pass: extract files
-    let extracted = 0;
-    for (const entry of entries) {
-      if (!entry.directory) {
-        const blob = await entry.getData(new BlobWriter());
+async function renderRecentList() {
+  let records = [];
+  if (options.rememberRecent) {
+    records = await listRecent().catch(() => []);
+  }
+  recentList.replaceChildren(...records.map(createRecentItem));
+  recentSection.hidden = records.length === 0;
+}
 
-        // Remove common prefix for cleaner paths
-        let path = entry.filename;
-        if (commonPrefix && path.startsWith(commonPrefix)) {
-          path = path.substring(commonPrefix.length);
-        }
+// Keep a just-opened archive ({ name, file, remote }) or folder ({ name, files }) for later
+async function rememberRecent(source) {
+  if (!options.rememberRecent) return;
+  try {
+    await saveRecent(source);
+  } catch (err) {
+    // Quota exceeded or storage blocked; the archive is simply not remembered
+    console.warn('Could not remember archive:', err);
+  }
+  renderRecentList();
+}
 
-        files.set(path, blob);
+// Record a request of the served site in the request log. Archive files the page
+// read without seeing their type or size (element loads) get them from files.
+function logSiteRequest(files, entry) {
+  const file = entry.status === 'hit' && entry.path ? files?.get(entry.path) : null;
+  requestLog.add({
+    kind: entry.kind,
+    url: entry.url,
+    path: entry.path ?? null,
+    status: entry.status,
+    type: entry.type || (file ? getMimeType(entry.path) : null),
+    size: entry.size ?? file?.size ?? null,
+    duration: entry.duration ?? null,
+    error: entry.status === 'blocked' ? 'Blocked by offline mode' : (entry.error ?? null),
+  });
+}
 
-        // Create blob URL
-        const mimeType = getMimeType(path);
-        const typedBlob = new Blob([blob], { type: mimeType });
-        const blobUrl = URL.createObjectURL(typedBlob);
-        blobUrls.set(path, blobUrl);
-        createdBlobUrls.push(blobUrl);
+// The request log's kind for a request's destination
+function requestKind(destination) {
+  if (destination === 'document' || destination === 'iframe') return 'navigation';
+  return destination ? 'element' : 'fetch';
+}
 
-        if (path === 'index.html' || path.endsWith('/index.html')) {
-          if (!indexPath || path === 'index.html') {
-            indexPath = path;
-          }
-        }
+// Archives served by sw.js, keyed by archive id
+const swSites = new Map();
 
-        extracted++;
-        // Update animation progress
-        window.dragOverlay?.setProgress(extracted / totalFiles);
-      }
+if (serviceWorkerSupported) {
+  // sw.js asks every viewer window for each request; answer for the archives we own
+  navigator.serviceWorker.addEventListener('message', async (event) => {
+    if (event.data?.type !== 'zip-zerver:request' && event.data?.type !== 'zip-zerver:external') {
+      return;
     }
 
-    await zipReader.close();
+    const [port] = event.ports;
+    const site = swSites.get(event.data.siteId);
+    if (!site) {
+      port.postMessage(null);
+      return;
+    }
 
-    if (!indexPath) {
-      showError('No index.html found in the ZIP file. Is this a valid static site?');
+    // Requests served pages make outside their site, refused in offline mode, and
+    // those their Content-Security-Policy refused, which come with their kind
+    if (event.data.type === 'zip-zerver:external') {
+      port.postMessage({ blocked: site.offline });
+      logSiteRequest(null, {
+        kind: event.data.kind ?? requestKind(event.data.destination),
+        url: event.data.url,
+        path: null,
+        status: site.offline ? 'blocked' : 'external',
+      });
       return;
     }
 
-    // Create the URL/fetch patching script to inject
-    function createPatchScript(urlMap, htmlPath) {
-      // Filter out HTML entries — their blob URLs become stale after processing
-      const filteredMap = new Map();
-      for (const [key, value] of urlMap) {
-        if (!key.toLowerCase().endsWith('.html') && !key.toLowerCase().endsWith('.htm')) {
-          filteredMap.set(key, value);
-        }
+    const start = performance.now();
+    let response;
+    try {
+      response = await serveRequest(site, event.data.path, event.data);
+    } catch (err) {
+      console.error('Error serving', event.data.path, err);
+      response = {
+        status: 500,
+        headers: { 'Content-Type': 'text/plain; charset=utf-8' },
+        body: err.message,
+      };
+    }
+    const contentType = response.headers['Content-Type'] ?? '';
+    if (site.offline) {
+      response.headers['Content-Security-Policy'] = SERVICE_WORKER_SITE_POLICY;
+      if (response.status !== 206 && response.body && /^text\/html/i.test(contentType)) {
+        response.body = await addViolationReporter(response.body, contentType);
+        response.headers['Content-Length'] = String(response.body.size);
       }
-      const mapJson = JSON.stringify(Object.fromEntries(filteredMap));
-      return (
-        `
-<script>
-(function() {
-  const blobUrlMap = ${mapJson};
-
-  // Helper to resolve relative paths
-  function resolvePath(relativePath, basePath) {
-    if (!relativePath || relativePath.startsWith('blob:') || relativePath.startsWith('data:') ||
-        relativePath.startsWith('http://') || relativePath.startsWith('https://')) {
-      return null;
     }
+    port.postMessage(response);
+
+    // Redirects and fallback pages count as hits, like on the real server
+    const length = response.headers['Content-Length'];
+    logSiteRequest(site.files, {
+      kind: requestKind(event.data.destination),
+      url: event.data.url,
+      path: event.data.path,
+      status: response.status < 400 ? 'hit' : 'miss',
+      type: response.headers['Content-Type'],
+      size: length ? Number(length) : null,
+      duration: performance.now() - start,
+    });
+  });
+  navigator.serviceWorker.startMessages();
+}
 
-    // Handle absolute paths
-    if (relativePath.startsWith('/')) {
-      return relativePath.substring(1);
-    }
+// Encode a virtual path for use in a URL, keeping the slashes
+function encodePath(path) {
+  return path.split('/').map(encodeURIComponent).join('/');
+}
 
-    // Get directory of base path
-    const baseDir = basePath && basePath.includes('/') ? basePath.substring(0, basePath.lastIndexOf('/') + 1) : '';
+// Deep links mirror the frame's virtual path, query and hash in the viewer URL,
+// e.g. #/trace/index.html?trace=data/x.zip
+function parseDeepLink(hash) {
+  if (!hash.startsWith('#/')) return null;
 
-    // Combine and normalize
-    let combined = baseDir + relativePath;
-    combined = combined.replace(/\\.\\//, '');
+  const link = hash.substring(2);
+  const suffixIndex = link.search(/[?#]/);
+  const path = suffixIndex === -1 ? link : link.substring(0, suffixIndex);
+  let decodedPath = path;
+  try {
+    decodedPath = decodeURIComponent(path);
+  } catch (e) {
+    // Keep malformed escapes as typed
+  }
+  return { path: decodedPath, suffix: suffixIndex === -1 ? '' : link.substring(suffixIndex) };
+}
 
-    const parts = combined.split('/');
-    const resolved = [];
-    for (const part of parts) {
-      if (part === '..') {
-        resolved.pop();
-      } else if (part !== '' && part !== '.') {
-        resolved.push(part);
+// The archive path and query/hash suffix the frame is showing, or null
+function getFrameLocation() {
+  let frameLocation;
+  try {
+    frameLocation = reportFrame.contentWindow.location;
+    frameLocation.href; // Throws for cross-origin pages
+  } catch (e) {
+    return null;
+  }
+
+  let path = null;
+  if (blobSite && typeof reportFrame.contentWindow.__virtualPath === 'string') {
+    // The patch script's virtual path, which pushState moves along
+    path = reportFrame.contentWindow.__virtualPath;
+  } else if (blobSite) {
+    // Blob URLs carry no path, so look the page up by its URL
+    const blobUrl = frameLocation.href.split(/[?#]/)[0];
+    for (const [entryPath, url] of blobSite.blobUrls) {
+      if (url === blobUrl) {
+        path = entryPath;
+        break;
       }
     }
+  } else {
+    const match = /\/site\/[^/]+\/(.*)$/.exec(frameLocation.pathname);
+    if (match) {
+      try {
+        path = decodeURIComponent(match[1]);
+      } catch (e) {
+        // Keep malformed escapes as the page has them
+        path = match[1];
+      }
+    }
+  }
+  return path === null ? null : { path, suffix: frameLocation.search + frameLocation.hash };
+}
+
+function updateDeepLink() {
+  const frameLocation = hasReportLoaded && getFrameLocation();
+  if (!frameLocation) return;
 
-    return resolved.join('/');
+  fileBrowser.setActivePath(frameLocation.path);
+  const hash = '#/' + encodePath(frameLocation.path) + frameLocation.suffix;
+  if (location.hash !== hash) {
+    history.replaceState(history.state, '', hash);
   }
+}
 
-  // Track current "virtual" path for relative resolution
-  window.__virtualPath = ${JSON.stringify(htmlPath)};
-  try {
-    if (window.parent && window.parent !== window && window.parent.__currentVirtualPath) {
-      window.__virtualPath = window.parent.__currentVirtualPath;
-    }
-  } catch(e) {}
-
-  // Patch fetch
-  const originalFetch = window.fetch;
-  window.fetch = function(input, init) {
-    let url = input;
-    if (input instanceof Request) {
-      url = input.url;
+// Keep the deep link current as the frame navigates
+function watchFrame(frame) {
+  frame.addEventListener('load', () => {
+    updateDeepLink();
+    try {
+      const frameWindow = frame.contentWindow;
+      frameWindow.addEventListener('hashchange', updateDeepLink);
+      frameWindow.addEventListener('popstate', updateDeepLink);
+
+      // Client-side routers use pushState/replaceState, which fire no events
+      for (const method of ['pushState', 'replaceState']) {
+        const original = frameWindow.history[method];
+        frameWindow.history[method] = function (...args) {
+          const result = original.apply(this, args);
+          updateDeepLink();
+          return result;
+        };
+      }
+    } catch (e) {
+      // Cross-origin pages (e.g. an external link) can't be watched
     }
+  });
+}
 
-    if (typeof url === 'string') {
-      const resolved = resolvePath(url, window.__virtualPath);
-      if (resolved && blobUrlMap[resolved]) {
-        return originalFetch(blobUrlMap[resolved], init);
-      }
+// Base URL of the archive served by the service worker, ./site/<id>/
+let serviceWorkerSiteUrl = null;
+
+// Serve the archive from the service worker; resolves to its base URL
+async function createServiceWorkerSite(files, indexPath, fallback, rules, offline) {
+  await navigator.serviceWorker.register('sw.js');
+  await navigator.serviceWorker.ready;
+
+  const id = crypto.randomUUID().slice(0, 8);
+  swSites.set(id, { files, indexPath, fallback, rules, offline });
+  serviceWorkerSiteUrl = `site/${id}/`;
+  return serviceWorkerSiteUrl;
+}
+
+// Blob URL mode state for the loaded archive: its files and path -> blob URL
+let blobSite = null;
+
+// Run task() after the site's earlier loads, so none inflates or mounts the same
+// entries twice
+function queueBlobTask(site, task) {
+  const result = site.loadQueue.then(task);
+  site.loadQueue = result.catch(() => {});
+  return result;
+}
+
+const isScriptType = (type) => /^(application|text)\/javascript/.test(type);
+
+// Archive paths a file loads as it is shown (stylesheets, images, imports...)
+function findBlobDependencies(path, { type, text }) {
+  if (type.startsWith('text/html')) return findHtmlDependencies(text, path);
+  if (type.startsWith('text/css')) return findCssDependencies(text, path);
+  if (isScriptType(type)) return findModuleDependencies(text, path);
+  return [];
+}
+
+/**
+ * Give paths, and the files they load in turn, blob URLs. Only entries without
+ * one are inflated, so files are read the first time a page needs them; inner
+ * archives along the way are mounted. onProgress gets the share done, 0 to 1.
+ */
+async function loadBlobFiles(site, paths, onProgress) {
+  const pending = new Map(); // path -> { blob, type, text }
+  const queue = [...paths];
+  while (queue.length > 0) {
+    const path = queue.shift();
+    if (pending.has(path) || site.blobUrls.has(path)) continue;
+    if (path.includes(NESTED_SEPARATOR) && !site.files.has(path)) {
+      await mountNestedArchives(site.files, path).catch(() => null);
     }
+    if (!site.files.has(path)) continue;
+
+    const blob = await decodeContent(path, await readFile(site.files.get(path)));
+    const type =
+      getCustomHeaders(site.rules, path)['Content-Type'] ?? (await getContentType(path, blob));
+    const entry = { blob, type, text: null };
+    if (/^text\/(html|css)/.test(type) || isScriptType(type)) {
+      entry.text = await readText(blob, type);
+    }
+    pending.set(path, entry);
+    queue.push(...findBlobDependencies(path, entry));
+    onProgress?.(pending.size / (pending.size + queue.length));
+  }
+  if (pending.size > 0) {
+    addBlobFiles(site, pending);
+  }
+}
+
+// Give new entries ({ blob, type, text }) blob URLs and rewrite HTML, CSS and
+// JavaScript among them to reference them
+function addBlobFiles(site, newFiles) {
+  const { blobUrls } = site;
+
+  for (const [path, { blob, type }] of newFiles) {
+    const blobUrl = URL.createObjectURL(new Blob([blob], { type }));
+    blobUrls.set(path, blobUrl);
+    createdBlobUrls.push(blobUrl);
+  }
 
-    return originalFetch(input, init);
+  const replaceBlobUrl = (path, text, type) => {
+    const newUrl = URL.createObjectURL(new Blob([text], { type }));
+    URL.revokeObjectURL(blobUrls.get(path));
+    blobUrls.set(path, newUrl);
+    createdBlobUrls.push(newUrl);
   };
 
-  // Patch URL constructor
-  const OriginalURL = window.URL;
-  window.URL = function(url, base) {
-    // If base is a blob URL, try to resolve the relative path
-    if (base && typeof base === 'string' && base.startsWith('blob:')) {
-      const resolved = resolvePath(url, window.__virtualPath);
-      if (resolved && blobUrlMap[resolved]) {
-        return new OriginalURL(blobUrlMap[resolved]);
-      }
-      // For unresolved paths, create a fake URL that won't break
-      try {
-        return new OriginalURL(url, 'http://localhost/');
-      } catch(e) {
-        return new OriginalURL('http://localhost/' + url);
-      }
+  // Files that stylesheets, srcset and SVG references name load without an
+  // element event for the patch script to log, so missing ones are logged here
+  const logMiss = (url, path) => {
+    if (!site.files.has(path)) {
+      logSiteRequest(null, { kind: 'element', url, path, status: 'miss' });
     }
-    return new OriginalURL(url, base);
   };
-  // Copy static methods
-  Object.setPrototypeOf(window.URL, OriginalURL);
-  window.URL.createObjectURL = OriginalURL.createObjectURL.bind(OriginalURL);
-  window.URL.revokeObjectURL = OriginalURL.revokeObjectURL.bind(OriginalURL);
-
-  // Patch XMLHttpRequest
-  const OriginalXHR = window.XMLHttpRequest;
-  window.XMLHttpRequest = function() {
-    const xhr = new OriginalXHR();
-    const originalOpen = xhr.open;
-    xhr.open = function(method, url, ...rest) {
-      let resolvedUrl = url;
-      if (typeof url === 'string') {
-        const resolved = resolvePath(url, window.__virtualPath);
-        if (resolved && blobUrlMap[resolved]) {
-          resolvedUrl = blobUrlMap[resolved];
-        }
-      }
-      return originalOpen.call(this, method, resolvedUrl, ...rest);
-    };
-    return xhr;
-  };
-  window.XMLHttpRequest.prototype = OriginalXHR.prototype;
-
-  // Patch element src/href setters for dynamic content
-  function patchElementProperty(proto, prop) {
-    const descriptor = Object.getOwnPropertyDescriptor(proto, prop);
-    if (descriptor && descriptor.set) {
-      const originalSet = descriptor.set;
-      Object.defineProperty(proto, prop, {
-        ...descriptor,
-        set: function(value) {
-          if (typeof value === 'string') {
-            const resolved = resolvePath(value, window.__virtualPath);
-            if (resolved && blobUrlMap[resolved]) {
-              return originalSet.call(this, blobUrlMap[resolved]);
-            }
-          }
-          return originalSet.call(this, value);
-        }
-      });
+
+  // Process and update blob URLs for CSS files, imported sheets before the sheets
+  // importing them so their processed blob URLs are the ones referenced
+  const sheets = new Map();
+  for (const [path, { type, text }] of newFiles) {
+    if (type.startsWith('text/css')) {
+      sheets.set(path, text);
     }
   }
+  for (const path of orderByCssImports(sheets)) {
+    const css = processCss(sheets.get(path), path, blobUrls, logMiss);
+    replaceBlobUrl(path, css, 'text/css; charset=utf-8');
+  }
 
-  // Patch src on various element types
-  patchElementProperty(HTMLImageElement.prototype, 'src');
-  patchElementProperty(HTMLVideoElement.prototype, 'src');
-  patchElementProperty(HTMLAudioElement.prototype, 'src');
-  patchElementProperty(HTMLSourceElement.prototype, 'src');
-  patchElementProperty(HTMLTrackElement.prototype, 'src');
-  patchElementProperty(HTMLScriptElement.prototype, 'src');
-  patchElementProperty(HTMLIFrameElement.prototype, 'src');
-
-  // Also watch for attribute changes via MutationObserver
-  const observer = new MutationObserver((mutations) => {
-    for (const mutation of mutations) {
-      if (mutation.type === 'attributes') {
-        const el = mutation.target;
-        const attr = mutation.attributeName;
-        if (attr === 'src' || attr === 'href') {
-          const value = el.getAttribute(attr);
-          if (value && !value.startsWith('blob:') && !value.startsWith('data:') && !value.startsWith('http')) {
-            const resolved = resolvePath(value, window.__virtualPath);
-            // Skip rewriting href on anchors pointing to HTML files (handled by click interceptor)
-            if (resolved && attr === 'href' && el.tagName === 'A' &&
-                (resolved.toLowerCase().endsWith('.html') || resolved.toLowerCase().endsWith('.htm'))) {
-              // leave as-is for click interceptor
-            } else if (resolved && blobUrlMap[resolved]) {
-              el.setAttribute(attr, blobUrlMap[resolved]);
-            }
-          }
-        }
-      }
-      // Handle newly added elements
-      if (mutation.type === 'childList') {
-        mutation.addedNodes.forEach(node => {
-          if (node.nodeType === 1) {
-            const processEl = (el) => {
-              ['src', 'href'].forEach(attr => {
-                const value = el.getAttribute && el.getAttribute(attr);
-                if (value && !value.startsWith('blob:') && !value.startsWith('data:') && !value.startsWith('http')) {
-                  const resolved = resolvePath(value, window.__virtualPath);
-                  // Skip rewriting href on anchors pointing to HTML files (handled by click interceptor)
-                  if (resolved && attr === 'href' && el.tagName === 'A' &&
-                      (resolved.toLowerCase().endsWith('.html') || resolved.toLowerCase().endsWith('.htm'))) {
-                    return; // leave as-is for click interceptor
-                  }
-                  if (resolved && blobUrlMap[resolved]) {
-                    el.setAttribute(attr, blobUrlMap[resolved]);
-                  }
-                }
-              });
-              // Process children
-              if (el.querySelectorAll) {
-                el.querySelectorAll('[src], [href]').forEach(processEl);
-              }
-            };
-            processEl(node);
-          }
-        });
-      }
+  // Process JavaScript files dependencies first, so imports point at processed
+  // blob URLs; modules in an import cycle reach each other through the import map
+  const modules = new Map();
+  for (const [path, { type, text }] of newFiles) {
+    if (isScriptType(type)) {
+      modules.set(path, text);
+    }
+  }
+  for (const group of orderModuleGraph(modules)) {
+    const cyclePaths = new Set(group);
+    for (const path of group) {
+      const processedJs = processModule(modules.get(path), path, blobUrls, cyclePaths);
+      replaceBlobUrl(path, processedJs, 'text/javascript; charset=utf-8');
     }
+  }
+
+  // Process the HTML files, extensionless ones sniffed as HTML included.
+  // They are decoded with their own charset and re-encoded as UTF-8.
+  for (const [path, { type, text }] of newFiles) {
+    if (type.startsWith('text/html')) {
+      const processedHtml = processHtml(text, path, blobUrls, site.offline, logMiss);
+      replaceBlobUrl(path, processedHtml, 'text/html; charset=utf-8');
+    }
+  }
+}
+
+// Blob URL of an archive file, inflated on first use; null when there is none
+function loadBlobUrl(site, path) {
+  return queueBlobTask(site, async () => {
+    await loadBlobFiles(site, [path]);
+    return site.blobUrls.get(path) ?? null;
   });
+}
+
+/**
+ * Open the archive in blob URL mode and resolve to its entry page's blob URL.
+ * Only scripts get blob URLs up front, as workers and importScripts() need
+ * theirs synchronously; pages, stylesheets and other files are inflated when a
+ * page first loads them.
+ */
+async function createBlobSite(files, indexPath, fallback, rules, offline, onProgress) {
+  const site = {
+    files,
+    blobUrls: new Map(),
+    fallback,
+    rules,
+    offline,
+    loadQueue: Promise.resolve(),
+  };
+  blobSite = site;
+  const scripts = [...files.keys()].filter((path) => isScriptType(getMimeType(path)));
+  await queueBlobTask(site, () => loadBlobFiles(site, scripts, onProgress));
+
+  // Without an index.html the site opens on a listing of its root folder
+  const pagePath = findBlobPage(site, indexPath ?? '');
+  window.__currentVirtualPath = pagePath;
+  return loadBlobPage(site, pagePath);
+}
+
+/**
+ * The page a path opens in blob URL mode: the target of a _redirects rule, an
+ * HTML entry, a folder's index.html, the site's fallback page, or a generated
+ * listing of the folder (e.g. "docs/"). Returns the page's path or null.
+ */
+function findBlobPage(site, path, applyRules = true) {
+  const { files } = site;
+  const dir = path === '' || path.endsWith('/') ? path : path + '/';
+
+  if (applyRules) {
+    const exists = files.has(path) || files.has(dir + 'index.html');
+    const redirect = matchRedirect(site.rules, path, exists);
+    if (redirect?.path !== undefined) {
+      // Redirects and rewrites both land on the target, which no rule applies to again
+      return findBlobPage(site, redirect.path.split(/[?#]/)[0], false);
+    }
+  }
 
-  observer.observe(document.documentElement, {
-    childList: true,
-    subtree: true,
-    attributes: true,
-    attributeFilter: ['src', 'href']
+  if (files.has(path)) {
+    return /\.html?$/i.test(path) ? path : null;
+  }
+  if (files.has(dir + 'index.html')) {
+    return dir + 'index.html';
+  }
+  const fallback = resolveFallback(site.fallback, path);
+  if (fallback) {
+    return fallback.path;
+  }
+  return hasDirectory(files.keys(), dir) ? dir : null;
+}
+
+// Blob URL of a page findBlobPage() returned; folder listings are generated on
+// first use and kept under the folder's path
+async function loadBlobPage(site, pagePath) {
+  if (site.files.has(pagePath)) {
+    return loadBlobUrl(site, pagePath);
+  }
+  if (!site.blobUrls.has(pagePath)) {
+    const listing = renderDirectoryListing(site.files, pagePath);
+    const html = processHtml(listing, pagePath, site.blobUrls, site.offline);
+    const listingUrl = URL.createObjectURL(new Blob([html], { type: 'text/html; charset=utf-8' }));
+    site.blobUrls.set(pagePath, listingUrl);
+    createdBlobUrls.push(listingUrl);
+  }
+  return site.blobUrls.get(pagePath);
+}
+
+// Called from served pages to follow links: the path of the page a path opens, or null
+window.__zipFindPage = (path) => (blobSite ? findBlobPage(blobSite, path) : null);
+
+// Called from served pages for the blob URL of a page __zipFindPage() returned
+window.__zipLoadPage = (pagePath) => {
+  if (!blobSite) return Promise.resolve(null);
+  return loadBlobPage(blobSite, pagePath).catch((err) => {
+    showOpenError(pagePath, err);
+    return null;
   });
+};
 
-  // Click interceptor for HTML-to-HTML navigation
-  document.addEventListener('click', function(e) {
-    var anchor = e.target;
-    while (anchor && anchor.tagName !== 'A') anchor = anchor.parentElement;
-    if (!anchor) return;
-    var href = anchor.getAttribute('href');
-    if (!href || href.startsWith('blob:') || href.startsWith('http') ||
-        href.startsWith('#') || href.startsWith('data:') || href.startsWith('javascript:') ||
-        href.startsWith('mailto:') || href.startsWith('tel:')) return;
-
-    // Strip hash/query for resolution
-    var pathPart = href.split('#')[0].split('?')[0];
-    var resolved = resolvePath(pathPart, window.__virtualPath);
-    if (!resolved) return;
-    if (!resolved.toLowerCase().endsWith('.html') && !resolved.toLowerCase().endsWith('.htm')) return;
-
-    // Look up blob URL from parent's live map
-    var blobUrl = null;
-    try {
-      if (window.parent && window.parent !== window && window.parent.__zipBlobUrls)
-        blobUrl = window.parent.__zipBlobUrls[resolved];
-    } catch(e2) {}
+// Called from served pages for files they have no blob URL for. Inner archive
+// entries count as present until their archive is mounted.
+window.__zipHasFile = (path) => {
+  const files = blobSite?.files;
+  return Boolean(files?.has(path) || files?.has(path.split(NESTED_SEPARATOR)[0]));
+};
+window.__zipLoadFile = (path) => (blobSite ? loadBlobUrl(blobSite, path) : Promise.resolve(null));
+
+// Called from served pages when a fetch matches no file or folder; _redirects rules
+// come first, then the fallback page. Resolves to { url, status } or null.
+window.__zipFallback = async (path) => {
+  const site = blobSite;
+  if (!site || site.files.has(path) || hasDirectory(site.files.keys(), path + '/')) {
+    return null;
+  }
+  const redirect = matchRedirect(site.rules, path, false);
+  const targetPath = redirect?.path?.split(/[?#]/)[0];
+  if (targetPath !== undefined && site.files.has(targetPath)) {
+    const url = await loadBlobUrl(site, targetPath);
+    return url && { url, status: redirect.status === 404 ? 404 : 200 };
+  }
+  const fallback = resolveFallback(site.fallback, path);
+  const url = fallback && (await loadBlobUrl(site, fallback.path));
+  return url ? { url, status: fallback.status } : null;
+};
 
-    if (blobUrl) {
-      e.preventDefault();
-      e.stopPropagation();
-      try { window.parent.__currentVirtualPath = resolved; } catch(e3) {}
-      // Preserve hash and query from original href
-      var suffix = href.substring(pathPart.length);
-      window.location.href = blobUrl + suffix;
+// Called from served pages to open inner archives such as "data/abc.zip!/trace.trace".
+// Resolves to the innermost archive's { indexPath }, or null.
+window.__zipMountNested = (path) => {
+  const site = blobSite;
+  if (!site) return Promise.resolve(null);
+  return queueBlobTask(site, () => mountNestedArchives(site.files, path)).then(
+    (nested) => nested && { indexPath: nested.indexPath }
+  );
+};
+
+// Called from served pages for every request they make, for the request log
+window.__zipLogRequest = (entry) => logSiteRequest(blobSite?.files, entry);
+
+// Show an archive entry in the frame; inner archives open at their entry point
+// Pages that cannot be read (a corrupt entry, a wrong password) leave the report
+// as it was, and the error shows on the start screen like failed loads do
+function showOpenError(path, err) {
+  console.error('Error opening', path, err);
+  returnToViewer();
+  showError(`Failed to open ${path}: ${err.message}`);
+}
+
+async function openPage(path) {
+  fileBrowser.closePreview();
+  if (blobSite) {
+    if (isArchivePath(path)) {
+      const nested = await window.__zipMountNested(path + NESTED_SEPARATOR).catch(() => null);
+      if (!nested) return;
+      path = nested.indexPath ?? path + NESTED_SEPARATOR;
     }
-  }, true); // capture phase
-})();
-</` + `script>`
-      );
+    const site = blobSite;
+    const pagePath = findBlobPage(site, path);
+    if (pagePath === null) return;
+    let url;
+    try {
+      url = await loadBlobPage(site, pagePath);
+    } catch (err) {
+      if (site === blobSite) showOpenError(pagePath, err);
+      return;
     }
+    if (site !== blobSite) return; // Another archive was opened meanwhile
+    window.__currentVirtualPath = pagePath;
+    reportFrame.src = url;
+  } else if (serviceWorkerSiteUrl) {
+    // The service worker redirects archive navigations to their entry point
+    reportFrame.src = serviceWorkerSiteUrl + encodePath(path);
+  }
+}
 
-    // Process HTML and CSS files to rewrite URLs
-    async function processHtml(htmlPath, blobUrls) {
-      const blob = files.get(htmlPath);
-      const text = await blob.text();
-
-      // Rewrite URLs in HTML
-      let processed = text;
-
-      // Replace src attributes (skip href for HTML files — handled by click interceptor)
-      processed = processed.replace(/(src|href)=(["'])([^"']+)\2/gi, (match, attr, quote, url) => {
-        const resolved = normalizePath(htmlPath, url);
-        if (resolved && blobUrls.has(resolved)) {
-          // Leave HTML hrefs as relative paths for the click interceptor
-          if (
-            attr.toLowerCase() === 'href' &&
-            (resolved.toLowerCase().endsWith('.html') || resolved.toLowerCase().endsWith('.htm'))
-          ) {
-            return match;
-          }
-          return `${attr}=${quote}${blobUrls.get(resolved)}${quote}`;
-        }
-        return match;
-      });
+async function handleFile(file, { remote = false } = {}) {
+  if (!isArchivePath(file.name)) {
+    showError('Please drop a ZIP or tar archive.');
+    return;
+  }
 
-      // Replace url() in inline styles
-      processed = processed.replace(/url\(["']?([^"')]+)["']?\)/gi, (match, url) => {
-        const resolved = normalizePath(htmlPath, url);
-        if (resolved && blobUrls.has(resolved)) {
-          return `url("${blobUrls.get(resolved)}")`;
-        }
-        return match;
-      });
+  const open = (options) => openArchive(file, file.name, options);
+  // Links to remote archives may name a page in them too
+  if (await loadSite('Reading archive...', open, { remote, followDeepLink: remote })) {
+    await rememberRecent({ name: file.name, file, remote });
+  }
+}
 
-      // Handle import statements and dynamic imports in script tags
-      processed = processed.replace(/from\s+["']([^"']+)["']/g, (match, url) => {
-        const resolved = normalizePath(htmlPath, url);
-        if (resolved && blobUrls.has(resolved)) {
-          return `from "${blobUrls.get(resolved)}"`;
-        }
-        return match;
-      });
+// Serve an already-extracted folder exactly like an archive
+async function handleFolder(name, openFolder) {
+  if (await loadSite('Reading folder...', openFolder)) {
+    // Nested archives mounted since opening are not part of the folder itself
+    const files = new Map(
+      [...activeArchive.files].filter(([path]) => !path.includes(NESTED_SEPARATOR))
+    );
+    await rememberRecent({ name, files });
+  }
+}
 
-      processed = processed.replace(/import\s*\(["']([^"']+)["']\)/g, (match, url) => {
-        const resolved = normalizePath(htmlPath, url);
-        if (resolved && blobUrls.has(resolved)) {
-          return `import("${blobUrls.get(resolved)}")`;
-        }
-        return match;
-      });
+// Reopen a remembered archive or folder; the password of encrypted ZIPs is asked again
+async function openRecent(id, loadOptions) {
+  const data = await getRecentData(id).catch(() => null);
+  if (!data) {
+    showError('This archive is no longer stored in the browser.');
+    renderRecentList();
+    return false;
+  }
 
-      // Inject the patch script right after <head>
-      const patchScript = createPatchScript(blobUrls, htmlPath);
-      if (processed.includes('<head>')) {
-        processed = processed.replace('<head>', '<head>' + patchScript);
-      } else if (processed.includes('<HEAD>')) {
-        processed = processed.replace('<HEAD>', '<HEAD>' + patchScript);
-      } else {
-        // Prepend if no head tag
-        processed = patchScript + processed;
-      }
+  const open = data.file
+    ? (options) => openArchive(data.file, data.name, options)
+    : () => ({ files: data.files, close() {} });
+  await touchRecent(id).catch(() => {});
+  renderRecentList();
+  return loadSite(`Reading ${data.name}...`, open, {
+    ...loadOptions,
+    remote: Boolean(data.remote),
+  });
+}
 
-      return processed;
+// Bring back the most recently opened archive after the page lost its report
+async function restoreLastReport(loadOptions) {
+  if (!options.rememberRecent) return false;
+  const [last] = await listRecent().catch(() => []);
+  // The viewer URL still holds the deep link of the report it lost
+  return last ? openRecent(last.id, { ...loadOptions, followDeepLink: true }) : false;
+}
+
+/**
+ * Open an archive or folder with open(options) and show its index page.
+ * keepHistoryEntry reuses the current (report) history entry instead of pushing one.
+ * remote archives, which a link rather than the user picked, are served in offline
+ * mode whatever the option says. followDeepLink opens the page the #/ deep link
+ * names, for the archive the viewer URL was made for; other archives drop it.
+ * Resolves to true once the site is showing.
+ */
+async function loadSite(
+  loadingMessage,
+  open,
+  { keepHistoryEntry = false, remote = false, followDeepLink = false } = {}
+) {
+  try {
+    // Clean up previous blob URLs and state
+    for (const url of createdBlobUrls) {
+      URL.revokeObjectURL(url);
+    }
+    createdBlobUrls = [];
+    blobSite = null;
+    siteFallback = null;
+    swSites.clear();
+    serviceWorkerSiteUrl = null;
+    if (activeArchive) {
+      await closeNestedArchives(activeArchive.files);
+      await activeArchive.close();
     }
+    activeArchive = null;
+    window.__currentVirtualPath = null;
 
-    // Process CSS files
-    async function processCss(cssPath) {
-      const blob = files.get(cssPath);
-      const text = await blob.text();
+    // Replace iframe to purge its history entries from previous zips
+    const oldFrame = reportFrame;
+    const newFrame = oldFrame.cloneNode(false);
+    newFrame.removeAttribute('src');
+    oldFrame.parentNode.replaceChild(newFrame, oldFrame);
+    reportFrame = newFrame;
+    watchFrame(reportFrame);
 
-      // Replace url() in CSS
-      let processed = text.replace(/url\(["']?([^"')]+)["']?\)/gi, (match, url) => {
-        const resolved = normalizePath(cssPath, url);
-        if (resolved && blobUrls.has(resolved)) {
-          return `url("${blobUrls.get(resolved)}")`;
-        }
-        return match;
-      });
+    // Start zipper animation if available (drag drop case), otherwise show loading
+    let animationStarted = window.dragOverlay?.startUnzip() ?? false;
 
-      return processed;
+    if (!animationStarted) {
+      showLoading(loadingMessage);
     }
 
-    // Process and update blob URLs for CSS files
-    for (const [path, blob] of files) {
-      if (path.endsWith('.css')) {
-        const processedCss = await processCss(path);
-        const newBlob = new Blob([processedCss], { type: 'text/css' });
-        const newUrl = URL.createObjectURL(newBlob);
-        URL.revokeObjectURL(blobUrls.get(path));
-        blobUrls.set(path, newUrl);
-        createdBlobUrls.push(newUrl);
+    // Prompts replace the zipper animation for the rest of this load
+    const stopAnimation = () => {
+      if (animationStarted) {
+        window.dragOverlay?.abort();
+        animationStarted = false;
       }
-    }
+    };
 
-    // Process ALL HTML files
-    for (const [path, blob] of files) {
-      if (path.toLowerCase().endsWith('.html') || path.toLowerCase().endsWith('.htm')) {
-        const processedHtml = await processHtml(path, blobUrls);
-        const newBlob = new Blob([processedHtml], { type: 'text/html' });
-        const newUrl = URL.createObjectURL(newBlob);
-        URL.revokeObjectURL(blobUrls.get(path));
-        blobUrls.set(path, newUrl);
-        createdBlobUrls.push(newUrl);
+    // ZIPs only read their central directory here; entries inflate on demand
+    activeArchive = await open({
+      getPassword: async (retry) => {
+        stopAnimation();
+        const password = await promptForPassword(retry);
+        if (password !== null) {
+          showLoading('Checking password...');
+        }
+        return password;
+      },
+    });
+    fileBrowser.show(activeArchive.files);
+    requestLog.clear();
+    siteFallback = createSiteFallback(activeArchive.files.keys());
+    const siteRules = await loadSiteRules(activeArchive.files);
+    siteFallbackToggle.checked = siteFallback.enabled;
+    siteFallbackToggle.disabled = !siteFallback.pagePath && !siteFallback.notFoundPath;
+
+    // A #/<path> deep link from a shared or reloaded view picks the start page
+    const deepLink = followDeepLink ? parseDeepLink(location.hash) : null;
+
+    // Without any index.html the site opens on a generated listing of its files
+    let indexPath = findIndexPath(activeArchive.files.keys());
+
+    // Archives holding several sites (coverage, Storybook, a test report...) ask which
+    // to open, unless a deep link already names the page
+    const htmlPaths = [...activeArchive.files.keys()].filter(
+      (path) => /\.html?$/i.test(path) && !path.includes(NESTED_SEPARATOR)
+    );
+    const indexCount = htmlPaths.filter((path) => /(^|\/)index\.html$/.test(path)).length;
+    if (!deepLink && indexCount > 1) {
+      stopAnimation();
+      indexPath = await chooseEntryPoint(htmlPaths, indexPath);
+      if (indexPath === null) {
+        return false;
       }
     }
 
-    // Set live blob URL map on parent window for click interceptor
-    window.__zipBlobUrls = Object.fromEntries(blobUrls);
-    window.__currentVirtualPath = indexPath;
+    const offline = options.offline || remote;
+    if (offline) {
+      applyViewerPolicy();
+    }
 
-    // Clear any stale forward/back state and push a fresh entry
-    history.replaceState({ page: 'home' }, '');
-    history.pushState({ page: 'report' }, '');
+    let entryUrl;
+    if (options.serviceWorker && serviceWorkerSupported) {
+      // The service worker asks for each file as the page needs it
+      window.dragOverlay?.setProgress(1);
+      const { files } = activeArchive;
+      const siteUrl = await createServiceWorkerSite(
+        files,
+        indexPath,
+        siteFallback,
+        siteRules,
+        offline
+      );
+      entryUrl = siteUrl + encodePath(indexPath ?? '');
+
+      if (deepLink) {
+        await mountNestedArchives(files, deepLink.path).catch(() => null);
+        const dir = deepLink.path.replace(/\/?$/, '/');
+        if (
+          files.has(deepLink.path) ||
+          hasDirectory(files.keys(), dir) ||
+          matchRedirect(siteRules, deepLink.path, false) ||
+          resolveFallback(siteFallback, deepLink.path)
+        ) {
+          entryUrl = siteUrl + encodePath(deepLink.path) + deepLink.suffix;
+        }
+      }
+    } else {
+      // Scripts get blob URLs now, other files when a page first loads them
+      if (!animationStarted) {
+        showLoading('Preparing scripts...');
+      }
+      entryUrl = await createBlobSite(
+        activeArchive.files,
+        indexPath,
+        siteFallback,
+        siteRules,
+        offline,
+        (progress) => window.dragOverlay?.setProgress(progress)
+      );
+
+      if (deepLink) {
+        const site = blobSite;
+        await queueBlobTask(site, () => mountNestedArchives(site.files, deepLink.path)).catch(
+          () => null
+        );
+        const pagePath = findBlobPage(site, deepLink.path);
+        // Other files (images, JSON...) open as themselves
+        const url =
+          pagePath === null
+            ? await loadBlobUrl(site, deepLink.path)
+            : await loadBlobPage(site, pagePath);
+        if (url) {
+          entryUrl = url + deepLink.suffix;
+          window.__currentVirtualPath = pagePath ?? deepLink.path;
+        }
+      }
+    }
+
+    // A deep link left from another archive goes; the frame sets a new one as it loads
+    const reportUrl = deepLink ? location.href : location.pathname + location.search;
+    if (keepHistoryEntry) {
+      history.replaceState({ page: 'report' }, '', reportUrl);
+    } else {
+      // Clear any stale forward/back state and push a fresh entry
+      history.replaceState({ page: 'home' }, '');
+      history.pushState({ page: 'report' }, '', reportUrl);
+    }
 
     if (animationStarted) {
       // Set up load listener for animation reveal
@@ -699,14 +1191,60 @@ async function handleFile(file) {
 
       // Set the iframe src - the reveal animation will make it visible
       hasReportLoaded = true;
-      reportFrame.src = blobUrls.get(indexPath);
+      reportFrame.src = entryUrl;
     } else {
       // No animation - show report directly
       hideLoading();
-      loadReport(blobUrls.get(indexPath));
+      loadReport(entryUrl);
     }
+    return true;
   } catch (err) {
+    if (err.name === 'AbortError') {
+      // The user backed out (e.g. cancelled the password prompt)
+      hideLoading();
+      return false;
+    }
     console.error('Error:', err);
     showError(`Failed to load report: ${err.message}`);
+    return false;
+  }
+}
+
+// Download an archive from a URL and open it like a dropped file
+async function handleUrl(src) {
+  const animationStarted = window.dragOverlay?.startProgress() ?? false;
+  if (!animationStarted) {
+    showLoading('Downloading archive...');
+  }
+
+  let file;
+  try {
+    file = await downloadArchive(src, {
+      onProgress: (progress) => {
+        window.dragOverlay?.setProgress(progress);
+        if (!animationStarted) {
+          showLoading(`Downloading archive... ${Math.round(progress * 100)}%`);
+        }
+      },
+    });
+  } catch (err) {
+    console.error('Error:', err);
+    showError(err.message);
+    return;
   }
+
+  await handleFile(file, { remote: true });
 }
+
+// Links like ?src=https://ci.example/artifacts/report.zip open that archive directly
+const srcParam = new URLSearchParams(location.search).get('src');
+if (srcParam) {
+  confirmRemoteArchive(srcParam).then((confirmed) => {
+    if (confirmed) handleUrl(srcParam);
+  });
+} else if (reloadedReport) {
+  // Reloaded while viewing a report: reopen it, and the #/ deep link restores the page
+  restoreLastReport();
+}
+
+renderRecentList();
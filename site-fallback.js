@@ -0,0 +1,45 @@
+import { NESTED_SEPARATOR } from './nested-archive.js';
+
+/**
+ * Fallback routing for paths an archive has no file for, the way Netlify or
+ * GitHub Pages serve single-page apps: 200.html (or the root index.html)
+ * answers unknown paths with 200, and 404.html answers them with 404.
+ */
+
+/**
+ * Work out an archive's fallback pages from its paths.
+ * Returns { pagePath, notFoundPath, enabled }; enabled starts out true when the
+ * archive ships a 200.html, 404.html or _redirects file, and can be toggled.
+ * Callers try the _redirects rules (site-rules.js) first, so the fallback only
+ * answers paths none of them match.
+ */
+export function createSiteFallback(paths) {
+  const pathSet = new Set(paths);
+  let pagePath = null;
+  if (pathSet.has('200.html')) {
+    pagePath = '200.html';
+  } else if (!pathSet.has('404.html') && pathSet.has('index.html')) {
+    pagePath = 'index.html';
+  }
+
+  return {
+    pagePath,
+    notFoundPath: pathSet.has('404.html') ? '404.html' : null,
+    enabled: pathSet.has('200.html') || pathSet.has('404.html') || pathSet.has('_redirects'),
+  };
+}
+
+// The page answering a path with no file: { path, status }, or null
+export function resolveFallback(fallback, path) {
+  // Inner archives are separate sites with no fallback of their own
+  if (!fallback?.enabled || path.includes(NESTED_SEPARATOR)) {
+    return null;
+  }
+  if (fallback.pagePath) {
+    return { path: fallback.pagePath, status: 200 };
+  }
+  if (fallback.notFoundPath) {
+    return { path: fallback.notFoundPath, status: 404 };
+  }
+  return null;
+}
@@ -0,0 +1,151 @@
+import { readFile } from './archive.js';
+
+/**
+ * Netlify / Cloudflare Pages style _redirects and _headers files at the
+ * archive root, parsed once when the archive loads.
+ * Rules match virtual paths the way those hosts match URL paths: "/news/*"
+ * captures a splat, "/posts/:id" a placeholder, and a trailing slash is optional.
+ */
+
+// Compile a rule path such as "/news/:year/*" to a RegExp over "/"-prefixed paths
+function compilePattern(pattern) {
+  const names = [];
+  const source = pattern
+    .replace(/(.)\/+$/, '$1')
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/:(\w+)|\*/g, (match, name) => {
+      names.push(name || 'splat');
+      return name ? '([^/]+)' : '(.*)';
+    })
+    // "/news/*" also matches "/news"
+    .replace(/\/\(\.\*\)$/, '(?:/(.*))?');
+  return { regex: new RegExp(`^${source === '/' ? '' : source}/?$`), names };
+}
+
+// Captured placeholder values by name, or null when path does not match
+function matchPattern({ regex, names }, path) {
+  const match = regex.exec('/' + path);
+  if (!match) return null;
+  return Object.fromEntries(names.map((name, index) => [name, match[index + 1] || '']));
+}
+
+// "content-type" -> "Content-Type", so overrides replace the server's own headers
+function canonicalHeaderName(name) {
+  return name.toLowerCase().replace(/(^|-)[a-z]/g, (char) => char.toUpperCase());
+}
+
+/**
+ * Parse _redirects: "from to [status][!]" per line, "#" comments.
+ * The status defaults to 301; "!" forces the rule even where a file exists.
+ * Rules with query or country/language conditions ("key=value") are skipped.
+ */
+export function parseRedirects(text) {
+  const rules = [];
+  for (const line of text.split(/\r?\n/)) {
+    const fields = line.trim().split(/\s+/);
+    if (!fields[0] || fields[0].startsWith('#') || fields.length < 2) continue;
+    const isCondition = (field) => field.includes('=') && !/^(\/|https?:)/.test(field);
+    if (fields.some(isCondition)) continue;
+
+    const [from, to, statusField = '301'] = fields;
+    const status = /^(\d{3})(!?)$/.exec(statusField);
+    if (!status) continue;
+    rules.push({
+      pattern: compilePattern(from),
+      to,
+      status: Number(status[1]),
+      force: status[2] === '!',
+    });
+  }
+  return rules;
+}
+
+// Headers that cannot hold a comma-separated list (canonical names)
+const SINGLE_VALUE_HEADERS = [
+  'Access-Control-Allow-Origin',
+  'Content-Disposition',
+  'Content-Length',
+  'Content-Location',
+  'Content-Range',
+  'Content-Type',
+  'Etag',
+  'Expires',
+  'Last-Modified',
+  'Location',
+  'Retry-After',
+  'X-Content-Type-Options',
+  'X-Frame-Options',
+];
+
+/**
+ * Parse _headers: an unindented path pattern followed by indented
+ * "Name: value" lines. Repeated list headers are joined with ", "; for
+ * single-valued ones, such as Content-Type, the last value wins.
+ */
+export function parseHeaders(text) {
+  const rules = [];
+  let current = null;
+  for (const line of text.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) continue;
+
+    if (!/^\s/.test(line)) {
+      current = { pattern: compilePattern(trimmed), headers: {} };
+      rules.push(current);
+      continue;
+    }
+
+    const colonIndex = trimmed.indexOf(':');
+    if (current && colonIndex > 0) {
+      const name = canonicalHeaderName(trimmed.substring(0, colonIndex).trim());
+      const value = trimmed.substring(colonIndex + 1).trim();
+      current.headers[name] =
+        current.headers[name] && !SINGLE_VALUE_HEADERS.includes(name)
+          ? `${current.headers[name]}, ${value}`
+          : value;
+    }
+  }
+  return rules;
+}
+
+// Read and parse the archive's own _redirects and _headers, when present
+export async function loadSiteRules(files) {
+  const readText = async (path) =>
+    files.has(path) ? (await readFile(files.get(path))).text() : '';
+  return {
+    redirects: parseRedirects(await readText('_redirects')),
+    headers: parseHeaders(await readText('_headers')),
+  };
+}
+
+/**
+ * The first _redirects rule for path. fileExists tells whether the archive
+ * has a file there, which shadows every rule that is not forced.
+ * Returns { status, path } for targets inside the archive (path without the
+ * leading "/", query and hash kept), { status, url } for external targets, or null.
+ */
+export function matchRedirect(rules, path, fileExists) {
+  for (const rule of rules?.redirects ?? []) {
+    if (fileExists && !rule.force) continue;
+    const params = matchPattern(rule.pattern, path);
+    if (!params) continue;
+
+    const to = rule.to.replace(/:(\w+)/g, (match, name) => (name in params ? params[name] : match));
+    if (/^https?:\/\//.test(to)) {
+      return { status: rule.status, url: to };
+    }
+    return { status: rule.status, path: to.replace(/^\/+/, '') };
+  }
+  return null;
+}
+
+// Headers from every _headers rule matching path, later rules winning
+export function getCustomHeaders(rules, path) {
+  const headers = {};
+  for (const rule of rules?.headers ?? []) {
+    if (matchPattern(rule.pattern, path)) {
+      Object.assign(headers, rule.headers);
+    }
+  }
+  return headers;
+}
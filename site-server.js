@@ -0,0 +1,187 @@
+import { readFile } from './archive.js';
+import { hasDirectory, renderDirectoryListing } from './directory-listing.js';
+import { decodeContent, getContentType } from './mime.js';
+import { NESTED_SEPARATOR, mountNestedArchives } from './nested-archive.js';
+import { isArchivePath } from './open-archive.js';
+import { resolveFallback } from './site-fallback.js';
+import { getCustomHeaders, matchRedirect } from './site-rules.js';
+
+/**
+ * Virtual static server for service worker mode.
+ * sw.js forwards every request under ./site/<archive-id>/ to the viewer page,
+ * which answers it here straight from the archive's files map, inflating
+ * entries only when they are first requested.
+ * Responses are plain { status, headers, body } objects so they can be posted
+ * back to the worker.
+ */
+
+function textResponse(status, text) {
+  return {
+    status,
+    headers: { 'Content-Type': 'text/plain; charset=utf-8', 'Cache-Control': 'no-store' },
+    body: new Blob([text], { type: 'text/plain' }),
+  };
+}
+
+function htmlResponse(html) {
+  return {
+    status: 200,
+    headers: { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' },
+    body: new Blob([html], { type: 'text/html' }),
+  };
+}
+
+// Location is relative to the requested path
+function redirectResponse(location, status = 301) {
+  return { status, headers: { Location: location }, body: null };
+}
+
+// Relative URL from the page at fromPath to the archive path toPath
+function relativeUrl(fromPath, toPath) {
+  const depth = fromPath.split('/').length - 1;
+  return '../'.repeat(depth) + toPath || './';
+}
+
+/**
+ * Parse a single-range "Range: bytes=..." header against a body of `size` bytes.
+ * Returns { start, end } (inclusive), false when unsatisfiable, or null when the
+ * header is absent or unsupported and the whole body should be sent.
+ * Kept self-contained: patch-script.js inlines it into served pages.
+ */
+export function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec((header || '').trim());
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return null;
+  }
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    const length = Number(match[2]);
+    if (length === 0) {
+      return false;
+    }
+    start = Math.max(size - length, 0);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = size - 1;
+    if (match[2] !== '') {
+      if (Number(match[2]) < start) {
+        return null; // Invalid range, ignore the header
+      }
+      end = Math.min(Number(match[2]), end);
+    }
+  }
+
+  if (start >= size) {
+    return false;
+  }
+  return { start, end };
+}
+
+// Map a request path to an archive entry, falling back to a directory's index.html
+function resolveEntry(files, path) {
+  if (files.has(path)) {
+    return path;
+  }
+  const dir = path === '' || path.endsWith('/') ? path : path + '/';
+  if (files.has(dir + 'index.html')) {
+    return dir + 'index.html';
+  }
+  return null;
+}
+
+// Serve an archive entry with the given status, honoring byte ranges for 200s.
+// The type comes from the extension, or the file's first bytes when that is unknown;
+// customHeaders (from _headers) override the defaults, Content-Type included.
+async function serveFile(files, entryPath, request, status = 200, customHeaders = {}) {
+  const blob = await decodeContent(entryPath, await readFile(files.get(entryPath)));
+  const headers = {
+    'Content-Type': await getContentType(entryPath, blob),
+    'Accept-Ranges': 'bytes',
+    'Cache-Control': 'no-store',
+    ...customHeaders,
+  };
+  const mimeType = headers['Content-Type'];
+
+  // Byte ranges let media elements seek and trace readers fetch slices
+  const range = status === 200 ? parseRange(request.headers?.range, blob.size) : null;
+  if (range === false) {
+    headers['Content-Range'] = `bytes */${blob.size}`;
+    return { status: 416, headers, body: null };
+  }
+
+  let body = blob;
+  if (range) {
+    status = 206;
+    body = blob.slice(range.start, range.end + 1, mimeType);
+    headers['Content-Range'] = `bytes ${range.start}-${range.end}/${blob.size}`;
+  }
+  headers['Content-Length'] = String(body.size);
+
+  return { status, headers, body: request.method === 'HEAD' ? null : body };
+}
+
+export async function serveRequest(site, path, request) {
+  const { files } = site;
+  const fileName = path.substring(path.lastIndexOf('/') + 1);
+
+  // Navigating to an inner archive opens it as a nested site
+  const isNavigation = request.destination === 'document' || request.destination === 'iframe';
+  if (isNavigation && isArchivePath(path) && files.has(path)) {
+    return redirectResponse(fileName + NESTED_SEPARATOR);
+  }
+  if (path.endsWith('!') && isArchivePath(path.slice(0, -1)) && files.has(path.slice(0, -1))) {
+    return redirectResponse(fileName + '/');
+  }
+
+  // Mount inner archives on the way, e.g. "data/abc.zip!/trace.trace"
+  const nested = await mountNestedArchives(files, path);
+
+  const entryPath = resolveEntry(files, path);
+  const customHeaders = getCustomHeaders(site.rules, path);
+
+  // _redirects rules: 200 rewrites and 404s serve the target, others redirect to it
+  const redirect = matchRedirect(site.rules, path, entryPath !== null);
+  if (redirect?.url) {
+    return redirectResponse(redirect.url, redirect.status);
+  }
+  if (redirect && (redirect.status === 200 || redirect.status === 404)) {
+    const targetPath = resolveEntry(files, redirect.path.split(/[?#]/)[0]);
+    if (targetPath !== null) {
+      return serveFile(files, targetPath, request, redirect.status, customHeaders);
+    }
+  } else if (redirect) {
+    return redirectResponse(relativeUrl(path, redirect.path), redirect.status);
+  }
+
+  if (entryPath === null) {
+    // "data/abc.zip!/" without a root index.html goes to the inner archive's entry point
+    if (path.endsWith(NESTED_SEPARATOR) && nested?.indexPath?.startsWith(path)) {
+      return redirectResponse(nested.indexPath.substring(path.length));
+    }
+    // Single-page apps and custom 404 pages, when the site's fallback is enabled
+    const fallback = resolveFallback(site.fallback, path);
+    if (fallback) {
+      return serveFile(files, fallback.path, request, fallback.status, customHeaders);
+    }
+    // Folders without an index.html get a generated listing, like a static server's
+    const dir = path === '' || path.endsWith('/') ? path : path + '/';
+    if (hasDirectory(files.keys(), dir)) {
+      if (dir !== path) {
+        return redirectResponse(fileName + '/');
+      }
+      return htmlResponse(renderDirectoryListing(files, dir));
+    }
+    return textResponse(404, `Not found in archive: /${path}`);
+  }
+
+  // Redirect "docs" to "docs/" so relative URLs in docs/index.html resolve
+  if (entryPath !== path && path !== '' && !path.endsWith('/')) {
+    return redirectResponse(fileName + '/');
+  }
+
+  return serveFile(files, entryPath, request, 200, customHeaders);
+}
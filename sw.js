@@ -0,0 +1,161 @@
+/**
+ * Service worker for the virtual origin mode
+ * Answers requests under ./site/<archive-id>/ by asking the viewer page that
+ * holds the extracted archive (see site-server.js). Nothing is rewritten, so
+ * relative URLs, location.pathname and ES module graphs behave as they would
+ * against a real web server.
+ */
+'use strict';
+
+const SITE_PREFIX = new URL('./site/', self.registration.scope).pathname;
+
+// A viewer that has not answered by then (a window without the message listener,
+// or one that is unloading) is taken to not own the archive
+const VIEWER_TIMEOUT_MS = 30000;
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+self.addEventListener('install', () => self.skipWaiting());
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+// Whether each client seen is a served page (true) or a viewer window (false),
+// learned from navigations and, for clients from before a restart, looked up
+const siteClients = new Map();
+
+function isSitePath(pathname) {
+  return pathname.startsWith(SITE_PREFIX);
+}
+
+self.addEventListener('fetch', (event) => {
+  const url = new URL(event.request.url);
+  const isSiteUrl = url.origin === self.location.origin && isSitePath(url.pathname);
+  if (event.request.mode === 'navigate' && event.resultingClientId) {
+    siteClients.set(event.resultingClientId, isSiteUrl);
+  }
+
+  if (isSiteUrl) {
+    event.respondWith(handleSiteRequest(event.request, url));
+  } else if (event.clientId && siteClients.get(event.clientId) !== false) {
+    // The viewer's own requests are left to the browser
+    event.respondWith(handleOutsideRequest(event.request, event.clientId));
+  }
+});
+
+// Served pages in offline mode report what their Content-Security-Policy refused
+// (see offline-policy.js), as those requests never reach the fetch handler
+self.addEventListener('message', (event) => {
+  const pathname = event.source ? new URL(event.source.url).pathname : '';
+  if (event.data?.type !== 'zip-zerver:violation' || !isSitePath(pathname)) return;
+  event.waitUntil(
+    askViewers({
+      type: 'zip-zerver:external',
+      siteId: pathname.substring(SITE_PREFIX.length).split('/')[0],
+      url: String(event.data.url),
+      kind: String(event.data.kind),
+    })
+  );
+});
+
+// Post a request to one viewer window and wait for its answer, or null on timeout
+function askViewer(client, message) {
+  return new Promise((resolve) => {
+    const channel = new MessageChannel();
+    const timer = setTimeout(() => resolve(null), VIEWER_TIMEOUT_MS);
+    channel.port1.onmessage = (event) => {
+      clearTimeout(timer);
+      resolve(event.data);
+    };
+    client.postMessage(message, [channel.port2]);
+  });
+}
+
+// Every open viewer window, leaving out the served pages
+async function findViewers() {
+  const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  return clients.filter((client) => !isSitePath(new URL(client.url).pathname));
+}
+
+// Ask every open viewer; only the one that owns the archive answers non-null
+async function askViewers(message) {
+  const viewers = await findViewers();
+  if (viewers.length === 0) return null;
+
+  return new Promise((resolve) => {
+    let pending = viewers.length;
+    for (const viewer of viewers) {
+      askViewer(viewer, message).then((reply) => {
+        pending--;
+        if (reply) {
+          resolve(reply);
+        } else if (pending === 0) {
+          resolve(null);
+        }
+      });
+    }
+  });
+}
+
+// Requests from outside the served sites go to the network untouched. Those a
+// served page makes are reported to the viewer that owns its site, for the request
+// log, and fail like network errors when that viewer blocks them (offline mode),
+// or when no viewer owns the site any more.
+async function handleOutsideRequest(request, clientId) {
+  const client = await self.clients.get(clientId);
+  const pathname = client ? new URL(client.url).pathname : '';
+  siteClients.set(clientId, isSitePath(pathname));
+  if (isSitePath(pathname)) {
+    const reply = await askViewers({
+      type: 'zip-zerver:external',
+      siteId: pathname.substring(SITE_PREFIX.length).split('/')[0],
+      url: request.url,
+      destination: request.destination,
+    });
+    if (!reply || reply.blocked) {
+      return Response.error();
+    }
+  }
+  return fetch(request);
+}
+
+async function handleSiteRequest(request, url) {
+  const rest = url.pathname.substring(SITE_PREFIX.length);
+  const slashIndex = rest.indexOf('/');
+  if (slashIndex === -1) {
+    return Response.redirect(url.href + '/', 301);
+  }
+
+  const siteId = rest.substring(0, slashIndex);
+  let path;
+  try {
+    path = decodeURIComponent(rest.substring(slashIndex + 1));
+  } catch (e) {
+    return new Response('Malformed URL escape in path.', {
+      status: 400,
+      headers: { 'Content-Type': 'text/plain; charset=utf-8' },
+    });
+  }
+  const reply = await askViewers({
+    type: 'zip-zerver:request',
+    siteId,
+    path,
+    url: request.url,
+    method: request.method,
+    destination: request.destination,
+    headers: Object.fromEntries(request.headers),
+  });
+
+  if (!reply) {
+    return new Response('This archive is no longer open in Zip Zerver.', {
+      status: 404,
+      headers: { 'Content-Type': 'text/plain; charset=utf-8' },
+    });
+  }
+
+  // Response.redirect() only takes the statuses browsers follow; other 3xx
+  // statuses from _redirects keep their Location without being followed
+  if (REDIRECT_STATUSES.includes(reply.status) && reply.headers.Location) {
+    return Response.redirect(new URL(reply.headers.Location, url).href, reply.status);
+  }
+
+  return new Response(reply.body, { status: reply.status, headers: reply.headers });
+}
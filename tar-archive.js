@@ -0,0 +1,135 @@
+import { getCommonPrefix } from './archive.js';
+
+const BLOCK_SIZE = 512;
+const textDecoder = new TextDecoder();
+
+function readString(bytes, offset, length) {
+  const field = bytes.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return textDecoder.decode(end === -1 ? field : field.subarray(0, end));
+}
+
+function readNumber(bytes, offset, length) {
+  // GNU base-256 encoding for values too large for octal
+  if (bytes[offset] & 0x80) {
+    let value = bytes[offset] & 0x7f;
+    for (let i = 1; i < length; i++) {
+      value = value * 256 + bytes[offset + i];
+    }
+    return value;
+  }
+  return parseInt(readString(bytes, offset, length).trim() || '0', 8);
+}
+
+// The checksum is the byte sum of the header with its own field read as spaces
+function isValidHeader(header) {
+  let sum = 0;
+  for (let i = 0; i < BLOCK_SIZE; i++) {
+    sum += i >= 148 && i < 156 ? 0x20 : header[i];
+  }
+  return sum === readNumber(header, 148, 8);
+}
+
+// PAX extended header records look like "<length> <key>=<value>\n"
+function parsePaxHeaders(bytes) {
+  const headers = {};
+  let offset = 0;
+  while (offset < bytes.length) {
+    const spaceIndex = bytes.indexOf(0x20, offset);
+    if (spaceIndex === -1) break;
+    const length = parseInt(textDecoder.decode(bytes.subarray(offset, spaceIndex)), 10);
+    if (!length) break;
+
+    const record = textDecoder.decode(bytes.subarray(spaceIndex + 1, offset + length - 1));
+    const equalsIndex = record.indexOf('=');
+    if (equalsIndex !== -1) {
+      headers[record.substring(0, equalsIndex)] = record.substring(equalsIndex + 1);
+    }
+    offset += length;
+  }
+  return headers;
+}
+
+// "./report/index.html" and "/report/index.html" both become "report/index.html"
+function stripLeadingDots(path) {
+  return path.replace(/^(\.?\/)+/, '');
+}
+
+async function readBytes(blob, start, length) {
+  return new Uint8Array(await blob.slice(start, start + length).arrayBuffer());
+}
+
+// Gunzip .tar.gz / .tgz locally; plain tarballs are returned as-is
+async function decompressIfGzipped(file) {
+  const magic = await readBytes(file, 0, 2);
+  if (magic[0] !== 0x1f || magic[1] !== 0x8b) {
+    return file;
+  }
+  const stream = file.stream().pipeThrough(new DecompressionStream('gzip'));
+  return new Response(stream).blob();
+}
+
+/**
+ * Open a .tar, .tar.gz or .tgz file.
+ * Returns { files, close } like openZip, with each path (common prefix removed)
+ * mapped to a slice of the tarball.
+ */
+export async function openTar(file) {
+  const tar = await decompressIfGzipped(file);
+  const entries = new Map(); // raw path -> blob
+  let longName = null;
+  let pax = {};
+  let offset = 0;
+
+  while (offset + BLOCK_SIZE <= tar.size) {
+    const header = await readBytes(tar, offset, BLOCK_SIZE);
+
+    // Two zero blocks mark the end of the archive
+    if (header.every((byte) => byte === 0)) break;
+    if (!isValidHeader(header)) {
+      throw new Error('Not a valid tar archive (bad header checksum).');
+    }
+
+    const type = header[156] ? String.fromCharCode(header[156]) : '0';
+    const size = pax.size !== undefined ? Number(pax.size) : readNumber(header, 124, 12);
+    const dataStart = offset + BLOCK_SIZE;
+    offset = dataStart + Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+
+    // GNU long names and PAX headers describe the entry that follows them
+    if (type === 'L') {
+      longName = readString(await readBytes(tar, dataStart, size), 0, size);
+      continue;
+    }
+    if (type === 'x') {
+      pax = parsePaxHeaders(await readBytes(tar, dataStart, size));
+      continue;
+    }
+    if (type === 'g') continue;
+
+    let name = readString(header, 0, 100);
+    if (readString(header, 257, 5) === 'ustar') {
+      const prefix = readString(header, 345, 155);
+      if (prefix) name = prefix + '/' + name;
+    }
+    name = stripLeadingDots(pax.path ?? longName ?? name);
+    const linkName = stripLeadingDots(pax.linkpath ?? readString(header, 157, 100));
+    longName = null;
+    pax = {};
+
+    if (type === '0' || type === '7') {
+      entries.set(name, tar.slice(dataStart, dataStart + size));
+    } else if (type === '1' && entries.has(linkName)) {
+      // Hard links share the data of an earlier entry
+      entries.set(name, entries.get(linkName));
+    }
+    // Directories, symlinks and device entries carry no file data
+  }
+
+  const commonPrefix = getCommonPrefix(entries.keys());
+  const files = new Map(); // path -> blob
+  for (const [name, blob] of entries) {
+    files.set(name.substring(commonPrefix.length), blob);
+  }
+
+  return { files, close() {} };
+}
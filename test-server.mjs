@@ -0,0 +1,95 @@
+/**
+ * Local stand-in for trying the viewer and ?src= links without a CI server.
+ * Serves the viewer on http://localhost:8080 (a secure context, so service
+ * worker mode works) and the archives in a folder on http://localhost:8081,
+ * a different origin, with the CORS headers CI artifact servers send:
+ *
+ *   node test-server.mjs ~/Downloads
+ *   http://localhost:8080/?src=http://localhost:8081/report.zip
+ *
+ * /<name>/download answers like CI download links, naming the file in
+ * Content-Disposition only; ?cors=0 leaves the CORS headers out, to see the
+ * error a server without them gives.
+ */
+import { createReadStream } from 'node:fs';
+import { stat } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import { dirname, join, normalize, resolve, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { getMimeType } from './mime.js';
+
+const VIEWER_PORT = 8080;
+const ARCHIVE_PORT = 8081;
+
+const viewerRoot = dirname(fileURLToPath(import.meta.url));
+const archiveRoot = resolve(process.argv[2] ?? '.');
+
+// The file under root a URL path names, or null when it escapes root or is missing
+async function findFile(root, urlPath) {
+  let path;
+  try {
+    path = normalize(join(root, decodeURIComponent(urlPath)));
+  } catch (e) {
+    return null; // Malformed escape
+  }
+  if (path !== root && !path.startsWith(root + sep)) return null;
+
+  const stats = await stat(path).catch(() => null);
+  if (stats?.isDirectory()) {
+    return findFile(root, join(urlPath, 'index.html'));
+  }
+  return stats?.isFile() ? { path, size: stats.size, mtime: stats.mtime } : null;
+}
+
+function sendFile(res, file, headers) {
+  res.writeHead(200, {
+    'Content-Type': getMimeType(file.path),
+    'Content-Length': file.size,
+    'Last-Modified': file.mtime.toUTCString(),
+    ...headers,
+  });
+  createReadStream(file.path).pipe(res);
+}
+
+function sendNotFound(res, headers) {
+  res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8', ...headers });
+  res.end('Not found');
+}
+
+createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${VIEWER_PORT}`);
+  const file = await findFile(viewerRoot, url.pathname);
+  if (file) {
+    sendFile(res, file, { 'Cache-Control': 'no-store' });
+  } else {
+    sendNotFound(res);
+  }
+}).listen(VIEWER_PORT);
+
+createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${ARCHIVE_PORT}`);
+  const headers =
+    url.searchParams.get('cors') === '0'
+      ? {}
+      : {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Expose-Headers': 'Content-Length, Content-Disposition',
+        };
+
+  const download = /^(.*)\/download$/.exec(url.pathname);
+  const file = await findFile(archiveRoot, download ? download[1] : url.pathname);
+  if (!file) {
+    sendNotFound(res, headers);
+  } else if (download) {
+    const name = encodeURIComponent(file.path.substring(file.path.lastIndexOf('/') + 1));
+    sendFile(res, file, {
+      ...headers,
+      'Content-Disposition': `attachment; filename*=UTF-8''${name}`,
+    });
+  } else {
+    sendFile(res, file, headers);
+  }
+}).listen(ARCHIVE_PORT);
+
+console.log(`Viewer:   http://localhost:${VIEWER_PORT}/`);
+console.log(`Archives: http://localhost:${ARCHIVE_PORT}/ (from ${archiveRoot})`);
@@ -0,0 +1,38 @@
+/**
+ * Parsing for attributes holding more than a single URL: srcset lists and
+ * <meta http-equiv="refresh"> content. Shared by the static rewrite in
+ * rewrite.js and the patch script, which inlines these functions, so they
+ * must stay self-contained.
+ */
+
+// Rewrite each URL of a srcset such as "a.png 1x, b.png 2x", keeping the descriptors.
+// rewrite(url) returns the replacement, or null to leave the URL as it is.
+// As in the HTML srcset parser, a URL runs up to whitespace and only commas at
+// its end separate it from the next one, so data: URLs keep theirs.
+export function rewriteSrcset(srcset, rewrite) {
+  const candidate = /([\s,]*)(\S*?)(,*)(?=\s|$)/y;
+  const descriptors = /(?:[^,(]|\([^)]*\)?)*/y;
+  let result = '';
+  while (candidate.lastIndex < srcset.length) {
+    const [, separator, url, commas] = candidate.exec(srcset);
+    result += separator + ((url && rewrite(url)) || url) + commas;
+    // Descriptors such as "2x" or "100w" run to the next comma
+    if (!commas) {
+      descriptors.lastIndex = candidate.lastIndex;
+      const [text] = descriptors.exec(srcset);
+      result += text;
+      candidate.lastIndex += text.length;
+    }
+  }
+  return result;
+}
+
+// Delay (in seconds) and target of refresh content such as "5; url=next.html",
+// or null when the content only reloads the page
+export function parseRefresh(content) {
+  const match = /^\s*(\d[\d.]*)\s*[;,]?\s*(?:url\s*=\s*)?(["']?)(.+?)\2\s*$/i.exec(content || '');
+  if (!match || /^[\d.]+$/.test(match[3])) {
+    return null;
+  }
+  return { delay: Number(match[1]), url: match[3] };
+}
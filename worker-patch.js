@@ -0,0 +1,228 @@
+import { patchRequests } from './request-patch.js';
+import { parseRange } from './site-server.js';
+
+/**
+ * Web Worker support for blob URL mode. patchWorkerScope runs in served pages,
+ * where it intercepts the Worker and SharedWorker constructors, and again at
+ * the start of every worker they create, where it also patches fetch,
+ * XMLHttpRequest and importScripts so the worker loads its own relative
+ * resources from the archive. It is serialized into those workers with
+ * patchRequests and parseRange, so it must stay self-contained.
+ *
+ * options:
+ *   blobUrlMap      archive path -> blob URL
+ *   getBasePath()   the path relative URLs resolve against
+ *   virtualOrigin   VIRTUAL_ORIGIN of module-urls.js
+ *   offline         whether requests leaving the archive are refused
+ *   askViewer(name, args)  resolves to what the viewer's window[name](...args)
+ *                   returns; workers reach it through their page (see below)
+ *   inWorker        true when patching a worker's own scope
+ */
+export function patchWorkerScope(scope, options) {
+  const blobUrlMap = options.blobUrlMap;
+  const virtualOrigin = options.virtualOrigin;
+
+  // Percent escapes stand for the characters of the file name; malformed ones are kept
+  function decodePath(path) {
+    try {
+      return decodeURIComponent(path);
+    } catch (e) {
+      return path;
+    }
+  }
+
+  // Archive path a URL refers to, or null. Blob URLs are looked up in reverse, so
+  // workers created from new URL('./worker.js', import.meta.url) are found too.
+  function resolvePath(url) {
+    url = String(url);
+    if (url.startsWith(virtualOrigin)) {
+      return decodePath(url.substring(virtualOrigin.length).split(/[?#]/)[0]);
+    }
+    if (url.startsWith('blob:')) {
+      for (const path in blobUrlMap) {
+        if (blobUrlMap[path] === url) return path;
+      }
+      return null;
+    }
+    if (/^[a-z][a-z\d+.-]*:/i.test(url)) {
+      return null; // http:, data: and other absolute URLs
+    }
+
+    const pathPart = url.split(/[?#]/)[0];
+    const basePath = options.getBasePath() || '';
+    const baseDir = pathPart.startsWith('/')
+      ? ''
+      : basePath.substring(0, basePath.lastIndexOf('/') + 1);
+    // Only the URL's own segments are escaped
+    const parts = baseDir.split('/').concat(pathPart.split('/').map(decodePath));
+    const resolved = [];
+    for (const part of parts) {
+      if (part === '..') {
+        resolved.pop();
+      } else if (part !== '' && part !== '.') {
+        resolved.push(part);
+      }
+    }
+    return resolved.join('/');
+  }
+
+  function mapUrl(url) {
+    const path = typeof url === 'string' || url instanceof URL ? resolvePath(url) : null;
+    return path !== null && blobUrlMap[path] ? { path, url: blobUrlMap[path] } : null;
+  }
+
+  // Workers cannot reach the viewer's window, so the page (or worker) that starts
+  // a dedicated worker hands it a MessagePort and relays { id, name, args }
+  // messages on it to askViewer, answering with { id, result }
+  function serveViewer(port) {
+    port.onmessage = function (e) {
+      const message = e.data;
+      Promise.resolve(options.askViewer(message.name, message.args))
+        .catch(function () {
+          return null;
+        })
+        .then(function (result) {
+          port.postMessage({ id: message.id, result: result === undefined ? null : result });
+        });
+    };
+  }
+
+  // The worker end: the port arrives as the first message, ahead of the worker's
+  // own listeners, and calls made before then wait for it. Shared workers get no
+  // port, so they make do with the files in blobUrlMap.
+  function connectViewer() {
+    if (typeof scope.postMessage !== 'function') {
+      return function () {
+        return Promise.resolve(null);
+      };
+    }
+    let port = null;
+    let nextId = 0;
+    const queued = [];
+    const pending = {};
+    scope.addEventListener('message', function (e) {
+      if (port || !e.data || e.data.zipZerverViewerPort !== true) return;
+      e.stopImmediatePropagation();
+      port = e.ports[0];
+      port.onmessage = function (reply) {
+        pending[reply.data.id](reply.data.result);
+        delete pending[reply.data.id];
+      };
+      queued.forEach(function (message) {
+        port.postMessage(message);
+      });
+    });
+    return function (name, args) {
+      return new Promise(function (resolve) {
+        const message = { id: nextId++, name: name, args: args };
+        pending[message.id] = resolve;
+        if (port) {
+          port.postMessage(message);
+        } else {
+          queued.push(message);
+        }
+      });
+    };
+  }
+
+  // A worker starts from a bootstrap script that patches its scope, then runs
+  // the archive's script: importScripts() for classic workers, import() for modules
+  const bootstrapUrls = {};
+  function bootstrapUrl(path, type) {
+    const key = type + ':' + path;
+    if (!bootstrapUrls[key]) {
+      const workerOptions = [
+        `blobUrlMap: ${JSON.stringify(blobUrlMap)}`,
+        `getBasePath: () => ${JSON.stringify(path)}`,
+        `virtualOrigin: ${JSON.stringify(virtualOrigin)}`,
+        `offline: ${Boolean(options.offline)}`,
+        'inWorker: true',
+      ];
+      // Wrapped so that classic worker scripts cannot replace the functions by name
+      const source = [
+        '(function () {',
+        `${parseRange}`,
+        `${patchRequests}`,
+        `${patchWorkerScope}`,
+        `patchWorkerScope(self, { ${workerOptions.join(', ')} });`,
+        '})();',
+        `${type === 'module' ? 'import' : 'importScripts'}(${JSON.stringify(blobUrlMap[path])});`,
+      ];
+      bootstrapUrls[key] = URL.createObjectURL(
+        new Blob([source.join('\n')], { type: 'text/javascript' })
+      );
+    }
+    return bootstrapUrls[key];
+  }
+
+  ['Worker', 'SharedWorker'].forEach(function (name) {
+    const OriginalWorker = scope[name];
+    if (!OriginalWorker) return;
+    scope[name] = function (url, workerOptions) {
+      const target = mapUrl(url);
+      if (!target) {
+        return new OriginalWorker(url, workerOptions);
+      }
+      const type = workerOptions && workerOptions.type === 'module' ? 'module' : 'classic';
+      const worker = new OriginalWorker(bootstrapUrl(target.path, type), workerOptions);
+      if (name === 'Worker') {
+        const channel = new MessageChannel();
+        serveViewer(channel.port1);
+        OriginalWorker.prototype.postMessage.call(worker, { zipZerverViewerPort: true }, [
+          channel.port2,
+        ]);
+      }
+      return worker;
+    };
+    scope[name].prototype = OriginalWorker.prototype;
+  });
+
+  if (!options.inWorker) return;
+
+  // Files the viewer loaded for this worker; like the page, it leaves pages out of
+  // blobUrlMap but remembers that they exist
+  options.askViewer = connectViewer();
+  const loadedPaths = {};
+  patchRequests(scope, {
+    blobUrlMap: blobUrlMap,
+    resolvePath: resolvePath,
+    virtualBaseUrl: function () {
+      return virtualOrigin + encodeURI(options.getBasePath());
+    },
+    hasFile: function (path) {
+      return blobUrlMap[path] || loadedPaths[path] ? true : null;
+    },
+    loadFile: function (path) {
+      if (blobUrlMap[path]) return Promise.resolve(blobUrlMap[path]);
+      return options.askViewer('__zipLoadFile', [path]).then(function (blobUrl) {
+        if (blobUrl) {
+          loadedPaths[path] = true;
+          if (!/\.html?$/i.test(path)) blobUrlMap[path] = blobUrl;
+        }
+        return blobUrl || null;
+      });
+    },
+    getFallback: function (path) {
+      return options.askViewer('__zipFallback', [path]);
+    },
+    logRequest: function (kind, url, path, status, details) {
+      const entry = { kind: kind, url: String(url), path: path, status: status };
+      options.askViewer('__zipLogRequest', [Object.assign(entry, details)]);
+    },
+    virtualOrigin: virtualOrigin,
+    offline: options.offline,
+  });
+
+  if (scope.importScripts) {
+    const originalImportScripts = scope.importScripts;
+    scope.importScripts = function (...urls) {
+      return originalImportScripts.apply(
+        scope,
+        urls.map(function (url) {
+          const target = mapUrl(url);
+          return target ? target.url : url;
+        })
+      );
+    };
+  }
+}
@@ -0,0 +1,136 @@
+import { getCommonPrefix } from './archive.js';
+
+const ZIP_JS_URL = 'https://cdn.jsdelivr.net/npm/@zip.js/zip.js@2.7.34/+esm';
+
+// Upper bound on inflated bytes this cache keeps, shared by every open archive
+// (inner archives included). It bounds service worker mode; blob URL mode also
+// holds every file it has given a blob URL until the site closes.
+const MAX_CACHED_BYTES = 256 * 1024 * 1024;
+
+// Least-recently-used blob cache bounded by total blob size
+function createLruCache(maxBytes) {
+  const blobs = new Map(); // key -> blob, least recently used first
+  let totalBytes = 0;
+
+  return {
+    get(key) {
+      const blob = blobs.get(key);
+      if (blob) {
+        blobs.delete(key);
+        blobs.set(key, blob);
+      }
+      return blob;
+    },
+    set(key, blob) {
+      if (blob.size > maxBytes || blobs.has(key)) return;
+      blobs.set(key, blob);
+      totalBytes += blob.size;
+      for (const [oldKey, oldBlob] of blobs) {
+        if (totalBytes <= maxBytes) break;
+        blobs.delete(oldKey);
+        totalBytes -= oldBlob.size;
+      }
+    },
+    delete(key) {
+      const blob = blobs.get(key);
+      if (blob) {
+        blobs.delete(key);
+        totalBytes -= blob.size;
+      }
+    },
+  };
+}
+
+// Inflated entries of all open archives, keyed by their zip.js entry
+const cache = createLruCache(MAX_CACHED_BYTES);
+
+/**
+ * Ask for a password until it unlocks an encrypted entry.
+ * getPassword(retry) resolves to the password, or null when the user cancels.
+ * The password is only ever held in the open archive's closure.
+ */
+async function unlock(encryptedEntries, getPassword, BlobWriter) {
+  if (encryptedEntries.length === 0) {
+    return undefined;
+  }
+  if (!getPassword) {
+    throw new Error('This archive is password-protected.');
+  }
+
+  // Checking the smallest encrypted entry is enough to verify the password
+  const probe = encryptedEntries.reduce((smallest, entry) =>
+    entry.compressedSize < smallest.compressedSize ? entry : smallest
+  );
+
+  for (let retry = false; ; retry = true) {
+    const password = await getPassword(retry);
+    if (password === null) {
+      const err = new Error('Password entry cancelled.');
+      err.name = 'AbortError';
+      throw err;
+    }
+
+    try {
+      await probe.getData(new BlobWriter(), { password, checkPasswordOnly: true });
+      return password;
+    } catch (err) {
+      if (err.message !== 'Invalid password') throw err;
+    }
+  }
+}
+
+/**
+ * Open a ZIP file by reading only its central directory.
+ * Returns { files, close } where files maps each path (common prefix removed)
+ * to a lazy { size, load() } entry that inflates on first request.
+ * Encrypted archives call options.getPassword(retry) before any entry is read.
+ */
+export async function openZip(file, { getPassword } = {}) {
+  // Dynamically load zip.js
+  const { BlobReader, BlobWriter, ZipReader } = await import(ZIP_JS_URL);
+
+  const zipReader = new ZipReader(new BlobReader(file));
+  const entries = (await zipReader.getEntries()).filter((entry) => !entry.directory);
+  const commonPrefix = getCommonPrefix(entries.map((entry) => entry.filename));
+  const encryptedEntries = entries.filter((entry) => entry.encrypted);
+  const password = await unlock(encryptedEntries, getPassword, BlobWriter);
+
+  const pending = new Map(); // path -> in-flight inflate promise
+  const files = new Map();
+  let closed = false;
+
+  for (const entry of entries) {
+    const path = entry.filename.substring(commonPrefix.length);
+    files.set(path, {
+      size: entry.uncompressedSize,
+      load() {
+        const cached = cache.get(entry);
+        if (cached) {
+          return Promise.resolve(cached);
+        }
+        if (!pending.has(path)) {
+          const inflating = entry
+            .getData(new BlobWriter(), { password })
+            .then((blob) => {
+              if (!closed) cache.set(entry, blob);
+              return blob;
+            })
+            .finally(() => pending.delete(path));
+          pending.set(path, inflating);
+        }
+        return pending.get(path);
+      },
+    });
+  }
+
+  return {
+    files,
+    close() {
+      closed = true;
+      for (const entry of entries) {
+        cache.delete(entry);
+      }
+      return zipReader.close();
+    },
+  };
+}